@@ -0,0 +1,310 @@
+'use strict'
+
+const crypto = require('crypto')
+const tls = require('tls')
+
+// certificate usages that are supported for SMTP, RFC 7672 section 3.1
+const DANE_TA = 2
+const DANE_EE = 3
+
+// hash algorithms of the matching types, 0 is the exact match
+const MATCHING_TYPES = {
+  0: false,
+  1: 'sha256',
+  2: 'sha512'
+}
+
+// DER encoded OIDs of the extensions that are checked for issuer certificates
+const BASIC_CONSTRAINTS = '551d13' // 2.5.29.19
+const KEY_USAGE = '551d0f' // 2.5.29.15
+
+// supported certificate signature algorithms, by DER encoded OID
+const SIGNATURE_ALGORITHMS = {
+  '2a864886f70d010105': 'sha1', // sha1WithRSAEncryption
+  '2a864886f70d01010b': 'sha256', // sha256WithRSAEncryption
+  '2a864886f70d01010c': 'sha384', // sha384WithRSAEncryption
+  '2a864886f70d01010d': 'sha512', // sha512WithRSAEncryption
+  '2a8648ce3d040302': 'sha256', // ecdsa-with-SHA256
+  '2a8648ce3d040303': 'sha384', // ecdsa-with-SHA384
+  '2a8648ce3d040304': 'sha512' // ecdsa-with-SHA512
+}
+
+/**
+ * Normalizes TLSA records into {usage, selector, matchingType, data} objects
+ * and drops the records that are not usable for SMTP. Records from
+ * dns.resolveTlsa ({certUsage, selector, match, data}) are accepted as well
+ *
+ * @param {Array} records TLSA records
+ * @return {Array} Usable records
+ */
+module.exports.normalizeRecords = records => [].concat(records || []).map(record => {
+  let data = record.data
+  if (typeof data === 'string') {
+    data = new Buffer(data.replace(/\s+/g, ''), 'hex')
+  } else if (data && !Buffer.isBuffer(data)) {
+    data = new Buffer(new Uint8Array(data))
+  }
+
+  return {
+    usage: Number('usage' in record ? record.usage : record.certUsage),
+    selector: Number(record.selector),
+    matchingType: Number('matchingType' in record ? record.matchingType : record.match),
+    data: data || new Buffer(0)
+  }
+}).filter(record =>
+  [DANE_TA, DANE_EE].indexOf(record.usage) >= 0 &&
+  [0, 1].indexOf(record.selector) >= 0 &&
+  record.matchingType in MATCHING_TYPES &&
+  record.data.length
+)
+
+/**
+ * Checks the certificate chain against TLSA records. DANE-EE records are
+ * matched against the server certificate only. DANE-TA records are matched
+ * against the issuers in the chain sent by the server, in this case the
+ * chain has to be signed by the trust anchor, every certificate between the
+ * server certificate and the trust anchor has to be a valid CA certificate
+ * and the server certificate has to be valid for the host name
+ *
+ * @param {Array} records Normalized TLSA records
+ * @param {Object} certificate Server certificate from getPeerCertificate(true)
+ * @param {String} host Host name of the server
+ * @return {Boolean} Returns true if any of the records matches
+ */
+module.exports.verify = (records, certificate, host) => {
+  if (!certificate || !certificate.raw) {
+    return false
+  }
+
+  if (records.some(record => record.usage === DANE_EE && matchRecord(record, certificate.raw))) {
+    return true
+  }
+
+  let anchors = records.filter(record => record.usage === DANE_TA)
+  if (!anchors.length || !isValidDate(certificate) || tls.checkServerIdentity(host, certificate)) {
+    return false
+  }
+
+  let cert = certificate
+  while (cert.issuerCertificate && cert.issuerCertificate !== cert && cert.issuerCertificate.raw) {
+    let issuer = cert.issuerCertificate
+    if (!isIssuer(cert.raw, issuer.raw) || !verifySignature(cert.raw, issuer.raw)) {
+      return false
+    }
+    if (anchors.some(record => matchRecord(record, issuer.raw))) {
+      return true
+    }
+    if (!isValidDate(issuer) || !isCA(issuer.raw)) {
+      return false
+    }
+    cert = issuer
+  }
+
+  return false
+}
+
+/**
+ * Returns DER encoded SubjectPublicKeyInfo of a DER encoded certificate
+ *
+ * @param {Buffer} raw Certificate
+ * @return {Buffer} SubjectPublicKeyInfo
+ */
+module.exports.getSpki = raw => {
+  let spki = readTbsFields(raw).spki
+  return raw.slice(spki.start, spki.end)
+}
+
+/**
+ * Checks if a certificate matches a TLSA record
+ */
+function matchRecord (record, raw) {
+  let data
+  try {
+    data = record.selector === 1 ? module.exports.getSpki(raw) : raw
+  } catch (E) {
+    return false
+  }
+
+  let algo = MATCHING_TYPES[record.matchingType]
+  if (algo) {
+    data = crypto.createHash(algo).update(data).digest()
+  }
+
+  return data.equals(record.data)
+}
+
+/**
+ * Checks the validity period of a certificate
+ */
+function isValidDate (certificate) {
+  let now = Date.now()
+  return Date.parse(certificate.valid_from) <= now && Date.parse(certificate.valid_to) >= now
+}
+
+/**
+ * Checks that the issuer name of a certificate is the subject name of the
+ * issuer certificate
+ */
+function isIssuer (raw, issuerRaw) {
+  try {
+    let issuer = readTbsFields(raw).issuer
+    let subject = readTbsFields(issuerRaw).subject
+    return raw.slice(issuer.start, issuer.end).equals(issuerRaw.slice(subject.start, subject.end))
+  } catch (E) {
+    return false
+  }
+}
+
+/**
+ * Checks that a certificate can sign other certificates, the cA flag of
+ * basicConstraints has to be set and keyUsage has to allow keyCertSign
+ * if the extension is present
+ */
+function isCA (raw) {
+  try {
+    let extensions = readExtensions(raw)
+
+    let basicConstraints = extensions[BASIC_CONSTRAINTS]
+    if (!basicConstraints) {
+      return false
+    }
+    // cA is an optional BOOLEAN that defaults to false
+    let ca = readChildren(basicConstraints, readElement(basicConstraints, 0))[0]
+    if (!ca || ca.tag !== 0x01 || !basicConstraints[ca.offset]) {
+      return false
+    }
+
+    let keyUsage = extensions[KEY_USAGE]
+    if (keyUsage) {
+      // first byte of the BIT STRING is the number of unused bits,
+      // keyCertSign is bit 5 of the first byte of the flags
+      let bits = readElement(keyUsage, 0)
+      return bits.end - bits.offset > 1 && !!(keyUsage[bits.offset + 1] & 0x04)
+    }
+
+    return true
+  } catch (E) {
+    return false
+  }
+}
+
+/**
+ * Verifies that a certificate is signed by the key of the issuer
+ */
+function verifySignature (raw, issuerRaw) {
+  try {
+    let parts = readChildren(raw, readElement(raw, 0))
+    let oid = readChildren(raw, parts[1])[0]
+    let algo = SIGNATURE_ALGORITHMS[raw.slice(oid.offset, oid.end).toString('hex')]
+    if (!algo) {
+      return false
+    }
+
+    // first byte of the signature BIT STRING is the number of unused bits
+    let signature = raw.slice(parts[2].offset + 1, parts[2].end)
+    let key = '-----BEGIN PUBLIC KEY-----\n' +
+      module.exports.getSpki(issuerRaw).toString('base64').replace(/.{64}/g, '$&\n').replace(/\n?$/, '\n') +
+      '-----END PUBLIC KEY-----\n'
+
+    let verifier = crypto.createVerify(algo)
+    verifier.update(raw.slice(parts[0].start, parts[0].end))
+    return verifier.verify(key, signature)
+  } catch (E) {
+    return false
+  }
+}
+
+/**
+ * Reads the fields of a DER encoded certificate that are used for the
+ * checks, returns {issuer, subject, spki, extensions} elements
+ */
+function readTbsFields (raw) {
+  let tbs = readChildren(raw, readElement(raw, 0))[0]
+  let fields = readChildren(raw, tbs)
+  // version is optional, then serial, signature, issuer, validity, subject
+  // and public key, optional unique identifiers and extensions are last
+  let pos = fields.length && fields[0].tag === 0xa0 ? 1 : 0
+  if (fields.length < pos + 6) {
+    throw new Error('Invalid certificate')
+  }
+  return {
+    issuer: fields[pos + 2],
+    subject: fields[pos + 4],
+    spki: fields[pos + 5],
+    extensions: fields.slice(pos + 6).filter(field => field.tag === 0xa3)[0] || false
+  }
+}
+
+/**
+ * Reads the extensions of a DER encoded certificate, returns an object of
+ * the DER encoded extension values by DER encoded OID
+ */
+function readExtensions (raw) {
+  let result = {}
+  let extensions = readTbsFields(raw).extensions
+  if (!extensions) {
+    return result
+  }
+
+  // extensions are wrapped in an explicit tag, each extension is a sequence
+  // of the OID, an optional critical flag and the value as an OCTET STRING
+  readChildren(raw, readChildren(raw, extensions)[0]).forEach(extension => {
+    let parts = readChildren(raw, extension)
+    let value = parts[parts.length - 1]
+    result[raw.slice(parts[0].offset, parts[0].end).toString('hex')] = raw.slice(value.offset, value.end)
+  })
+  return result
+}
+
+/**
+ * Reads the header of a DER element, returns {tag, start, offset, end}
+ * where `offset` is the position of the contents
+ */
+function readElement (buf, pos) {
+  if (pos + 2 > buf.length) {
+    throw new Error('Invalid DER data')
+  }
+
+  let tag = buf[pos]
+  let length = buf[pos + 1]
+  let offset = pos + 2
+
+  if (length & 0x80) {
+    let bytes = length & 0x7f
+    if (!bytes || bytes > 4) {
+      throw new Error('Invalid DER data')
+    }
+    length = 0
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + buf[offset++]
+    }
+  }
+
+  if (offset + length > buf.length) {
+    throw new Error('Invalid DER data')
+  }
+
+  return {
+    tag,
+    start: pos,
+    offset,
+    end: offset + length
+  }
+}
+
+/**
+ * Reads all child elements of a constructed DER element
+ */
+function readChildren (buf, element) {
+  let children = []
+  let pos = element.offset
+  while (pos < element.end) {
+    let child = readElement(buf, pos)
+    children.push(child)
+    pos = child.end
+  }
+  return children
+}
+
+module.exports.DANE_TA = DANE_TA
+module.exports.DANE_EE = DANE_EE
@@ -7,6 +7,9 @@ const Transform = stream.Transform
  * Escapes dots in the beginning of lines. Ends the stream with <CR><LF>.<CR><LF>
  * Also makes sure that only <CR><LF> sequences are used for linebreaks
  *
+ * If `options.escapeDots` is false, then only linebreaks are converted, this
+ * is used for BDAT where the message is not terminated with a dot
+ *
  * @param {Object} options Stream options
  */
 class DataStream extends Transform {
@@ -16,6 +19,8 @@ class DataStream extends Transform {
     this.options = options || {}
     this._curLine = ''
 
+    this.escapeDots = this.options.escapeDots !== false
+
     this.inByteCount = 0
     this.outByteCount = 0
     this.lastByte = false
@@ -42,7 +47,7 @@ class DataStream extends Transform {
     this.inByteCount += chunk.length
 
     for (i = 0, len = chunk.length; i < len; i++) {
-      if (chunk[i] === 0x2E) { // .
+      if (chunk[i] === 0x2E && this.escapeDots) { // .
         if (
           (i && chunk[i - 1] === 0x0A) ||
           (!i && (!this.lastByte || this.lastByte === 0x0A))
@@ -95,6 +100,9 @@ class DataStream extends Transform {
    */
   _flush (done) {
     let buf
+    if (!this.escapeDots) {
+      return done()
+    }
     if (this.lastByte === 0x0A) {
       buf = new Buffer('.\r\n')
     } else if (this.lastByte === 0x0D) {
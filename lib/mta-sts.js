@@ -0,0 +1,331 @@
+'use strict'
+
+const dns = require('dns')
+const https = require('https')
+
+// policy files larger than this are rejected, RFC 8461 section 3.2
+const MAX_POLICY_SIZE = 64 * 1024
+
+// max_age can not be larger than a year, RFC 8461 section 3.2
+const MAX_AGE = 31557600
+
+// how much to wait for the policy file
+const FETCH_TIMEOUT = 60 * 1000
+
+const MODES = ['enforce', 'testing', 'none']
+
+/**
+ * Cache for MTA-STS policies. Policies are kept until `max_age` of the
+ * policy expires, together with the `id` of the TXT record that announced
+ * the policy
+ */
+class PolicyCache {
+  constructor () {
+    this._policies = new Map()
+  }
+
+  /**
+   * Returns a cached policy for the domain
+   *
+   * @param {String} domain Policy domain
+   * @return {Object|Boolean} Policy object or false if not cached
+   */
+  get (domain) {
+    let entry = this._policies.get(domain)
+    if (!entry) {
+      return false
+    }
+    if (entry.expires <= Date.now()) {
+      this._policies.delete(domain)
+      return false
+    }
+    return entry.policy
+  }
+
+  /**
+   * Returns the TXT record id of a cached policy
+   *
+   * @param {String} domain Policy domain
+   * @return {String|Boolean} Policy id or false if not known
+   */
+  getId (domain) {
+    return (this.get(domain) && this._policies.get(domain).id) || false
+  }
+
+  /**
+   * Stores the policy for `max_age` seconds
+   *
+   * @param {String} domain Policy domain
+   * @param {Object} policy Policy object
+   * @param {String} [id] Id from the TXT record of the policy
+   */
+  set (domain, policy, id) {
+    if (!policy.maxAge) {
+      this._policies.delete(domain)
+      return
+    }
+    this._policies.set(domain, {
+      policy,
+      id: id || false,
+      expires: Date.now() + policy.maxAge * 1000
+    })
+  }
+
+  /**
+   * Removes all policies from the cache
+   */
+  clear () {
+    this._policies.clear()
+  }
+}
+
+module.exports.PolicyCache = PolicyCache
+
+// shared cache for connections that do not set their own cache
+module.exports.defaultCache = new PolicyCache()
+
+/**
+ * Parses a policy file into a policy object {version, mode, mx, maxAge}.
+ * Objects are accepted too, so a policy can be returned by a custom fetcher
+ * without serializing it
+ *
+ * @param {String|Buffer|Object} policy Policy file contents
+ * @return {Object} Policy object
+ */
+module.exports.parsePolicy = policy => {
+  let fields = {
+    mx: []
+  }
+
+  if (policy && typeof policy === 'object' && !Buffer.isBuffer(policy)) {
+    fields.version = policy.version
+    fields.mode = policy.mode
+    fields.mx = [].concat(policy.mx || [])
+    fields.max_age = 'maxAge' in policy ? policy.maxAge : policy.max_age
+  } else {
+    (policy || '').toString().split(/\r?\n/).forEach(line => {
+      let match = line.match(/^([a-z0-9_]+)\s*:\s*(.*?)\s*$/i)
+      if (!match) {
+        return
+      }
+      let key = match[1].toLowerCase()
+      if (key === 'mx') {
+        fields.mx.push(match[2])
+      } else if (!(key in fields)) {
+        fields[key] = match[2]
+      }
+    })
+  }
+
+  if (fields.version !== 'STSv1') {
+    throw new Error('Invalid MTA-STS policy version ' + JSON.stringify(fields.version))
+  }
+
+  let mode = (fields.mode || '').toString().toLowerCase()
+  if (MODES.indexOf(mode) < 0) {
+    throw new Error('Invalid MTA-STS policy mode ' + JSON.stringify(fields.mode))
+  }
+
+  let maxAge = Number(fields.max_age)
+  if (!/^\d{1,10}$/.test(fields.max_age) || maxAge > MAX_AGE) {
+    throw new Error('Invalid MTA-STS policy max_age ' + JSON.stringify(fields.max_age))
+  }
+
+  let mx = fields.mx.map(pattern => pattern.toString().trim().toLowerCase().replace(/\.$/, '')).filter(pattern => pattern)
+  if (mode !== 'none' && !mx.length) {
+    throw new Error('MTA-STS policy does not list any MX hosts')
+  }
+
+  return {
+    version: 'STSv1',
+    mode,
+    mx,
+    maxAge
+  }
+}
+
+/**
+ * Checks if the MX host matches any of the policy patterns. Wildcard
+ * patterns match a single leftmost label only, eg. '*.example.com' matches
+ * 'mx.example.com' but not 'example.com' or 'a.mx.example.com'
+ *
+ * @param {Object} policy Policy object
+ * @param {String} host MX host name
+ * @return {Boolean} Returns true if the host matches
+ */
+module.exports.matchMx = (policy, host) => {
+  host = (host || '').toString().toLowerCase().replace(/\.$/, '')
+
+  return policy.mx.some(pattern => {
+    if (pattern.substr(0, 2) !== '*.') {
+      return pattern === host
+    }
+    let pos = host.indexOf('.')
+    return pos > 0 && host.substr(pos + 1) === pattern.substr(2)
+  })
+}
+
+/**
+ * Looks up the `_mta-sts` TXT record of the domain. The callback is run with
+ * the `id` value of the record or `false` if the domain does not publish
+ * a policy
+ *
+ * @param {String} domain Policy domain
+ * @param {Function} callback Callback to run with (err, id)
+ */
+module.exports.lookupId = (domain, callback) => {
+  dns.resolveTxt('_mta-sts.' + domain, (err, records) => {
+    if (err) {
+      if (['ENODATA', 'ENOTFOUND', 'NODATA', 'NOTFOUND'].indexOf(err.code) >= 0) {
+        return callback(null, false)
+      }
+      return callback(err)
+    }
+
+    let stsRecords = (records || []).map(chunks => [].concat(chunks).join('')).filter(record => /^v=STSv1\s*(;|$)/.test(record))
+    if (stsRecords.length !== 1) {
+      return callback(null, false)
+    }
+
+    let match = stsRecords[0].match(/;\s*id\s*=\s*([a-z0-9]{1,32})\s*(;|$)/i)
+    callback(null, match ? match[1] : false)
+  })
+}
+
+/**
+ * Default policy fetcher. Looks up the `_mta-sts` TXT record of the domain
+ * and downloads the policy file over HTTPS if the record exists. The
+ * callback is run with `false` if the domain does not publish a policy
+ *
+ * @param {String} domain Policy domain
+ * @param {Function} callback Callback to run with (err, policyFile, id)
+ */
+module.exports.fetchPolicy = (domain, callback) => {
+  module.exports.lookupId(domain, (err, id) => {
+    if (err) {
+      return callback(err)
+    }
+
+    if (!id) {
+      return callback(null, false)
+    }
+
+    let returned = false
+    let done = (err, content) => {
+      if (returned) {
+        return
+      }
+      returned = true
+      callback(err, content, id)
+    }
+
+    let req = https.get({
+      host: 'mta-sts.' + domain,
+      path: '/.well-known/mta-sts.txt'
+    }, res => {
+      if (res.statusCode !== 200) {
+        res.resume()
+        return done(new Error('Unexpected HTTP status ' + res.statusCode + ' for the MTA-STS policy of ' + domain))
+      }
+
+      let chunks = []
+      let size = 0
+      res.on('data', chunk => {
+        size += chunk.length
+        if (size > MAX_POLICY_SIZE) {
+          req.abort()
+          return done(new Error('MTA-STS policy of ' + domain + ' is too large'))
+        }
+        chunks.push(chunk)
+      })
+      res.on('end', () => done(null, Buffer.concat(chunks)))
+    })
+
+    req.setTimeout(FETCH_TIMEOUT, () => {
+      req.abort()
+      done(new Error('Timeout fetching the MTA-STS policy of ' + domain))
+    })
+    req.on('error', err => done(err))
+  })
+}
+
+/**
+ * Returns the MTA-STS policy of the domain from the cache or from the
+ * fetcher. The fetcher is called with (domain, callback) or it can return
+ * a Promise. It should return the policy file, a policy object or a falsy
+ * value if the domain does not publish a policy. The callback of the fetcher
+ * takes the id of the TXT record as the third argument. If the TXT record
+ * of a cached policy announces a new id, then the policy is fetched again,
+ * but the cached policy is still used if the new policy can not be loaded,
+ * RFC 8461 section 5.1
+ *
+ * @param {String} domain Policy domain
+ * @param {Object} options Options, {fetch, cache, lookupId}
+ * @param {Function} callback Callback to run with (err, policy)
+ */
+module.exports.getPolicy = (domain, options, callback) => {
+  let cache = options.cache || module.exports.defaultCache
+  let fetch = options.fetch || module.exports.fetchPolicy
+  let lookupId = options.lookupId || module.exports.lookupId
+
+  let cached = cache.get(domain)
+
+  let returned = false
+  let done = (err, content, id) => {
+    if (returned) {
+      return
+    }
+    returned = true
+
+    if (err) {
+      // a policy that is still valid is used until a new one can be loaded,
+      // RFC 8461 section 5.1
+      return cached ? callback(null, cached) : callback(err)
+    }
+
+    if (!content) {
+      return callback(null, cached)
+    }
+
+    let policy
+    try {
+      policy = module.exports.parsePolicy(content)
+    } catch (E) {
+      return cached ? callback(null, cached) : callback(E)
+    }
+
+    cache.set(domain, policy, id)
+    callback(null, policy)
+  }
+
+  let fetchPolicy = () => {
+    let result
+    try {
+      result = fetch(domain, done)
+    } catch (E) {
+      return done(E)
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(content => done(null, content), err => done(err || new Error('MTA-STS policy fetcher failed')))
+    }
+  }
+
+  if (!cached) {
+    return fetchPolicy()
+  }
+
+  let cachedId = cache.getId(domain)
+  if (!cachedId) {
+    return setImmediate(() => callback(null, cached))
+  }
+
+  lookupId(domain, (err, id) => {
+    // the cached policy is kept if the TXT record is missing or can not be
+    // looked up, only a new id means that the policy was updated
+    if (!err && id && id !== cachedId) {
+      return fetchPolicy()
+    }
+    callback(null, cached)
+  })
+}
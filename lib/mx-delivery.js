@@ -0,0 +1,217 @@
+'use strict'
+
+const SMTPConnection = require('./smtp-connection')
+
+/**
+ * Delivers a message directly to the MX hosts of the recipient domains.
+ * Recipients are grouped by domain and a separate connection in the `mx`
+ * mode is used for every domain, one domain after another
+ *
+ * Options object takes the same properties as SMTPConnection, eg. `port`,
+ * `name` or `resolveMx`. The message is sent to every domain, so streams
+ * are read into memory first
+ *
+ * Info object of the result includes `accepted`, `rejected` and
+ * `rejectedErrors` for all recipients and `mx` list with the result for
+ * every domain: {domain, exchange, priority, recipients, accepted, rejected,
+ * response, error}
+ *
+ * @param {Object} envelope Envelope object, {from: addr, to: [addr]}
+ * @param {Object} message String, Buffer or a Stream
+ * @param {Object} [options] Connection options
+ * @param {Function} [callback] Callback to return once all domains are done
+ * @return {Promise} If callback is not set
+ */
+module.exports = (envelope, message, options, callback) => {
+  let promise
+
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+
+  if (typeof callback !== 'function') {
+    promise = new Promise((resolve, reject) => {
+      callback = (err, info) => err ? reject(err) : resolve(info)
+    })
+  }
+
+  envelope = envelope || {}
+  options = options || {}
+
+  let info = {
+    accepted: [],
+    rejected: [],
+    rejectedErrors: [],
+    mx: []
+  }
+
+  let domains = []
+  let groups = {}
+
+  let recipients = [].concat(envelope.to || []).map(SMTPConnection.normalizeAddress)
+  recipients.forEach(recipient => {
+    let pos = recipient.lastIndexOf('@')
+    let domain = pos > 0 ? recipient.substr(pos + 1).toLowerCase() : ''
+
+    if (!domain) {
+      let err = formatError('Invalid recipient ' + JSON.stringify(recipient), 'EENVELOPE')
+      err.recipient = recipient
+      info.rejected.push(recipient)
+      info.rejectedErrors.push(err)
+      return
+    }
+
+    if (!groups[domain]) {
+      groups[domain] = []
+      domains.push(domain)
+    }
+    groups[domain].push(recipient)
+  })
+
+  if (!domains.length && !info.rejected.length) {
+    setImmediate(() => callback(formatError('No recipients defined', 'EENVELOPE')))
+    return promise
+  }
+
+  readMessage(message, (err, content) => {
+    if (err) {
+      return callback(formatError(err, 'ESTREAM'))
+    }
+
+    let next = () => {
+      if (!domains.length) {
+        return finish(info, callback)
+      }
+
+      let domain = domains.shift()
+      deliverDomain(domain, groups[domain], envelope, content, options, result => {
+        info.mx.push(result)
+        info.accepted = info.accepted.concat(result.accepted)
+        info.rejected = info.rejected.concat(result.rejected)
+        info.rejectedErrors = info.rejectedErrors.concat(result.rejectedErrors)
+        delete result.rejectedErrors
+        next()
+      })
+    }
+    next()
+  })
+
+  return promise
+}
+
+/**
+ * Sends the message to recipients of a single domain
+ */
+function deliverDomain (domain, recipients, envelope, message, options, callback) {
+  let connectionOptions = {}
+  Object.keys(options).forEach(key => {
+    connectionOptions[key] = options[key]
+  })
+  connectionOptions.mx = domain
+
+  let domainEnvelope = {}
+  Object.keys(envelope).forEach(key => {
+    domainEnvelope[key] = envelope[key]
+  })
+  domainEnvelope.to = recipients
+
+  let connection = new SMTPConnection(connectionOptions)
+
+  let result = {
+    domain,
+    exchange: false,
+    priority: false,
+    recipients,
+    accepted: [],
+    rejected: [],
+    rejectedErrors: [],
+    response: false,
+    error: false
+  }
+
+  let returned = false
+  let done = (err, info) => {
+    if (returned) {
+      return
+    }
+    returned = true
+
+    let mx = connection.endpoint && connection.endpoint.mx
+    if (mx) {
+      result.exchange = mx.exchange
+      result.priority = mx.priority
+    }
+
+    if (err) {
+      // message was not sent, so none of the recipients got it
+      err.domain = domain
+      result.error = err
+      result.response = err.response || false
+      result.rejected = recipients
+      result.rejectedErrors = err.rejectedErrors && err.rejectedErrors.length ? err.rejectedErrors : [err]
+      connection.close()
+    } else {
+      result.accepted = info.accepted
+      result.rejected = info.rejected
+      result.rejectedErrors = info.rejectedErrors || []
+      result.response = info.response
+      connection.quit()
+    }
+
+    callback(result)
+  }
+
+  connection.once('error', err => done(err))
+  connection.once('end', () => done(formatError('Connection closed unexpectedly', 'ECONNECTION')))
+
+  connection.connect(() => {
+    connection.send(domainEnvelope, message, done)
+  })
+}
+
+/**
+ * Returns an error if the message was not accepted for any recipient
+ */
+function finish (info, callback) {
+  if (info.accepted.length) {
+    return callback(null, info)
+  }
+
+  // use the error code of the failures if it is the same for every recipient
+  let codes = info.rejectedErrors.map(err => err.code).filter((code, i, codes) => codes.indexOf(code) === i)
+  let err = formatError('Message was not accepted for any recipient', codes.length === 1 && codes[0] ? codes[0] : 'EENVELOPE')
+
+  err.rejected = info.rejected
+  err.rejectedErrors = info.rejectedErrors
+  err.mx = info.mx
+  callback(err)
+}
+
+/**
+ * Reads a message stream into a Buffer, strings and Buffers are used as is
+ */
+function readMessage (message, callback) {
+  if (!message || typeof message.pipe !== 'function') {
+    return setImmediate(() => callback(null, message))
+  }
+
+  let chunks = []
+  message.on('data', chunk => chunks.push(typeof chunk === 'string' ? new Buffer(chunk) : chunk))
+  message.on('error', err => callback(err))
+  message.on('end', () => callback(null, Buffer.concat(chunks)))
+}
+
+/**
+ * Generates an error object for the delivery API
+ *
+ * @param {String|Error} message Error message
+ * @param {String} code Error code
+ * @return {Error} Error object
+ */
+function formatError (message, code) {
+  let err = typeof message === 'string' ? new Error(message) : message
+  err.code = code
+  err.command = 'API'
+  return err
+}
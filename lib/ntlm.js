@@ -0,0 +1,306 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const SIGNATURE = new Buffer('NTLMSSP\u0000', 'binary')
+
+// negotiate flags, MS-NLMP section 2.2.2.5
+const FLAGS = {
+  UNICODE: 0x00000001,
+  OEM: 0x00000002,
+  REQUEST_TARGET: 0x00000004,
+  NTLM: 0x00000200,
+  OEM_DOMAIN_SUPPLIED: 0x00001000,
+  OEM_WORKSTATION_SUPPLIED: 0x00002000,
+  ALWAYS_SIGN: 0x00008000,
+  EXTENDED_SESSIONSECURITY: 0x00080000,
+  TARGET_INFO: 0x00800000,
+  VERSION: 0x02000000,
+  NEGOTIATE_128: 0x20000000,
+  KEY_EXCH: 0x40000000,
+  NEGOTIATE_56: 0x80000000
+}
+
+// AV_PAIR identifiers used in the target info
+const AV_EOL = 0
+const AV_TIMESTAMP = 7
+
+// milliseconds between 1601-01-01 and 1970-01-01
+const EPOCH_OFFSET = 11644473600000
+
+/**
+ * Generates NTLM (MS-NLMP) messages for NTLMv2 authentication. Messages
+ * are returned as Buffers, base64 encoding for the SMTP AUTH exchange is
+ * done by the caller. See http://davenport.sourceforge.net/ntlm.html
+ */
+
+/**
+ * Creates the Type 1 (negotiate) message
+ *
+ * @param {Object} [options] Options object, {domain, workstation}
+ * @return {Buffer} Type 1 message
+ */
+module.exports.createType1Message = options => {
+  options = options || {}
+
+  let domain = new Buffer((options.domain || '').toUpperCase(), 'binary')
+  let workstation = new Buffer((options.workstation || '').toUpperCase(), 'binary')
+
+  let flags = FLAGS.UNICODE | FLAGS.OEM | FLAGS.REQUEST_TARGET | FLAGS.NTLM | FLAGS.ALWAYS_SIGN |
+    FLAGS.EXTENDED_SESSIONSECURITY | FLAGS.NEGOTIATE_128 | FLAGS.NEGOTIATE_56
+  if (domain.length) {
+    flags |= FLAGS.OEM_DOMAIN_SUPPLIED
+  }
+  if (workstation.length) {
+    flags |= FLAGS.OEM_WORKSTATION_SUPPLIED
+  }
+
+  let header = new Buffer(32)
+  header.fill(0)
+  SIGNATURE.copy(header, 0)
+  header.writeUInt32LE(1, 8)
+  header.writeUInt32LE(flags >>> 0, 12)
+
+  return writePayload(header, [
+    [16, domain],
+    [24, workstation]
+  ])
+}
+
+/**
+ * Parses the Type 2 (challenge) message from the server
+ *
+ * @param {Buffer} message Type 2 message
+ * @return {Object} Parsed message, {flags, challenge, targetName, targetInfo}
+ */
+module.exports.parseType2Message = message => {
+  if (!Buffer.isBuffer(message) || message.length < 32 || !message.slice(0, 8).equals(SIGNATURE) || message.readUInt32LE(8) !== 2) {
+    throw new Error('Invalid NTLM challenge message')
+  }
+
+  let flags = message.readUInt32LE(20)
+  let targetName = readSecurityBuffer(message, 12)
+  let targetInfo = new Buffer(0)
+
+  if (flags & FLAGS.TARGET_INFO && message.length >= 48) {
+    targetInfo = readSecurityBuffer(message, 40)
+  }
+
+  return {
+    flags,
+    challenge: message.slice(24, 32),
+    targetName: targetName.toString(flags & FLAGS.UNICODE ? 'utf16le' : 'binary'),
+    targetInfo
+  }
+}
+
+/**
+ * Creates the Type 3 (authenticate) message with LMv2 and NTLMv2 responses
+ *
+ * Options object takes the following properties:
+ *
+ *  * **user** - username
+ *  * **pass** - password
+ *  * **domain** - domain of the user, defaults to the target name from the Type 2 message
+ *  * **workstation** - name of the client workstation
+ *  * **clientChallenge** - 8 byte client challenge, random if not set
+ *  * **timestamp** - 8 byte timestamp, the server timestamp or the current time if not set
+ *
+ * @param {Object} type2 Parsed Type 2 message
+ * @param {Object} options Option properties
+ * @return {Buffer} Type 3 message
+ */
+module.exports.createType3Message = (type2, options) => {
+  options = options || {}
+
+  let unicode = !!(type2.flags & FLAGS.UNICODE)
+  let encoding = unicode ? 'utf16le' : 'binary'
+
+  let user = options.user || ''
+  let domain = typeof options.domain === 'string' ? options.domain : type2.targetName
+  let clientChallenge = options.clientChallenge || crypto.randomBytes(8)
+
+  let serverTimestamp = getAvPair(type2.targetInfo, AV_TIMESTAMP)
+  let timestamp = options.timestamp || serverTimestamp || getTimestamp()
+
+  let hash = ntlmv2Hash(user, domain, options.pass || '')
+
+  let blob = Buffer.concat([
+    new Buffer([1, 1, 0, 0, 0, 0, 0, 0]),
+    timestamp,
+    clientChallenge,
+    new Buffer(4).fill(0),
+    type2.targetInfo,
+    new Buffer(4).fill(0)
+  ])
+
+  let ntProof = hmacMd5(hash, Buffer.concat([type2.challenge, blob]))
+  let ntResponse = Buffer.concat([ntProof, blob])
+
+  // LMv2 response is not sent if the server provided a timestamp, MS-NLMP section 3.1.5.1.2
+  let lmResponse = new Buffer(24).fill(0)
+  if (!serverTimestamp) {
+    lmResponse = Buffer.concat([hmacMd5(hash, Buffer.concat([type2.challenge, clientChallenge])), clientChallenge])
+  }
+
+  // session key is not exchanged and the version field is not included
+  let flags = type2.flags & ~(FLAGS.KEY_EXCH | FLAGS.VERSION)
+  if (unicode) {
+    flags &= ~FLAGS.OEM
+  }
+
+  let header = new Buffer(64)
+  header.fill(0)
+  SIGNATURE.copy(header, 0)
+  header.writeUInt32LE(3, 8)
+  header.writeUInt32LE(flags >>> 0, 60)
+
+  return writePayload(header, [
+    [28, new Buffer(domain, encoding)],
+    [36, new Buffer(user, encoding)],
+    [44, new Buffer(options.workstation || '', encoding)],
+    [12, lmResponse],
+    [20, ntResponse],
+    [52, new Buffer(0)]
+  ])
+}
+
+/**
+ * Calculates the MD4 digest. Used for the NT password hash if MD4 is not
+ * available in the crypto module
+ *
+ * @param {Buffer} data Input data
+ * @return {Buffer} MD4 digest
+ */
+module.exports.md4 = data => {
+  let length = data.length
+  let total = (((length + 8) >>> 6) + 1) * 64
+
+  let buf = new Buffer(total)
+  buf.fill(0)
+  data.copy(buf, 0)
+  buf[length] = 0x80
+  buf.writeUInt32LE((length * 8) >>> 0, total - 8)
+  buf.writeUInt32LE(Math.floor(length / 0x20000000), total - 4)
+
+  let state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+
+  let rounds = [{
+    fn: (x, y, z) => (x & y) | (~x & z),
+    add: 0,
+    order: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    shifts: [3, 7, 11, 19]
+  }, {
+    fn: (x, y, z) => (x & y) | (x & z) | (y & z),
+    add: 0x5a827999,
+    order: [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+    shifts: [3, 5, 9, 13]
+  }, {
+    fn: (x, y, z) => x ^ y ^ z,
+    add: 0x6ed9eba1,
+    order: [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15],
+    shifts: [3, 9, 11, 15]
+  }]
+
+  for (let offset = 0; offset < total; offset += 64) {
+    let words = []
+    for (let i = 0; i < 16; i++) {
+      words.push(buf.readUInt32LE(offset + i * 4))
+    }
+
+    let saved = state.slice()
+    rounds.forEach(round => {
+      for (let i = 0; i < 16; i++) {
+        // registers are updated in the order a, d, c, b
+        let r = (4 - i % 4) % 4
+        let value = (state[r] + (round.fn(state[(r + 1) % 4], state[(r + 2) % 4], state[(r + 3) % 4]) >>> 0) + words[round.order[i]] + round.add) >>> 0
+        let shift = round.shifts[i % 4]
+        state[r] = ((value << shift) | (value >>> (32 - shift))) >>> 0
+      }
+    })
+
+    for (let i = 0; i < 4; i++) {
+      state[i] = (state[i] + saved[i]) >>> 0
+    }
+  }
+
+  let digest = new Buffer(16)
+  state.forEach((value, i) => digest.writeUInt32LE(value, i * 4))
+  return digest
+}
+
+/**
+ * Calculates the NTLMv2 hash from the NT password hash
+ */
+function ntlmv2Hash (user, domain, pass) {
+  let password = new Buffer(pass, 'utf16le')
+  let ntHash
+  try {
+    ntHash = crypto.createHash('md4').update(password).digest()
+  } catch (E) {
+    // MD4 is disabled in some OpenSSL builds
+    ntHash = module.exports.md4(password)
+  }
+  return hmacMd5(ntHash, new Buffer(user.toUpperCase() + domain, 'utf16le'))
+}
+
+function hmacMd5 (key, data) {
+  return crypto.createHmac('md5', key).update(data).digest()
+}
+
+/**
+ * Returns the current time as a little-endian count of 100ns intervals
+ * since 1601-01-01
+ */
+function getTimestamp () {
+  let time = (Date.now() + EPOCH_OFFSET) * 10000
+  let timestamp = new Buffer(8)
+  timestamp.writeUInt32LE(time % 0x100000000, 0)
+  timestamp.writeUInt32LE(Math.floor(time / 0x100000000), 4)
+  return timestamp
+}
+
+/**
+ * Returns the value of an AV_PAIR from the target info or false if it is missing
+ */
+function getAvPair (targetInfo, id) {
+  let pos = 0
+  while (pos + 4 <= targetInfo.length) {
+    let avId = targetInfo.readUInt16LE(pos)
+    let avLength = targetInfo.readUInt16LE(pos + 2)
+    if (avId === AV_EOL) {
+      break
+    }
+    if (avId === id) {
+      return targetInfo.slice(pos + 4, pos + 4 + avLength)
+    }
+    pos += 4 + avLength
+  }
+  return false
+}
+
+function readSecurityBuffer (message, pos) {
+  let length = message.readUInt16LE(pos)
+  let offset = message.readUInt32LE(pos + 4)
+  if (offset + length > message.length) {
+    throw new Error('Invalid NTLM challenge message')
+  }
+  return message.slice(offset, offset + length)
+}
+
+/**
+ * Appends payload fields after the message header and fills in the security
+ * buffers that point to these, fields is a list of [position, Buffer] pairs
+ */
+function writePayload (header, fields) {
+  let offset = header.length
+  fields.forEach(field => {
+    header.writeUInt16LE(field[1].length, field[0])
+    header.writeUInt16LE(field[1].length, field[0] + 2)
+    header.writeUInt32LE(offset, field[0] + 4)
+    offset += field[1].length
+  })
+  return Buffer.concat([header].concat(fields.map(field => field[1])))
+}
+
+module.exports.FLAGS = FLAGS
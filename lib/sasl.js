@@ -0,0 +1,472 @@
+'use strict'
+
+const crypto = require('crypto')
+const ntlm = require('./ntlm')
+const SCRAM = require('./scram')
+
+/**
+ * Registry for SASL mechanisms used by `login()`
+ *
+ * A mechanism is a class that is instantiated for every authentication
+ * attempt with an options object that includes the following properties:
+ *
+ *  * **auth** - authentication data passed to `login()`
+ *  * **user** - username for logging
+ *  * **host** - hostname of the server
+ *  * **port** - port of the server
+ *  * **secure** - true if the connection uses TLS
+ *  * **mechanisms** - SASL mechanisms advertised by the server
+ *  * **channelBinding** - TLS channel binding {type, data} or false
+ *  * **clientCertificate** - TLS client certificate or false
+ *
+ * Mechanism instance implements the following methods:
+ *
+ *  * **start(callback)** - returns the initial response with `callback(err, response)`,
+ *    response is a String or a Buffer, or `false` if there is no initial response
+ *  * **step(challenge, callback)** - returns the response for a decoded server
+ *    challenge with `callback(err, response)`
+ *  * **complete()** - optional, run after the server accepted the authentication,
+ *    returns an Error if the exchange is not valid
+ *  * **retry()** - optional, run after the server rejected the authentication,
+ *    returns true if the authentication should be started again
+ *  * **fail(err)** - optional, run with the final authentication error
+ *
+ * Optional static method `supports(options)` returns false if the mechanism
+ * can not be used with provided authentication data, eg. if there is no password.
+ * Optional static property `plaintext` is true if the mechanism sends reusable
+ * credentials, eg. a password or a bearer token, without protection.
+ * Mechanisms are selected in the order of registration.
+ *
+ * The registry is shared by all connections in the process. Mechanisms for
+ * a single connection can be set with the `saslMechanisms` option instead
+ */
+const mechanisms = {}
+const names = []
+
+/**
+ * Registers a SASL mechanism. Existing mechanism with the same name is replaced
+ *
+ * @param {String} name Mechanism name as used in the AUTH command, eg. 'PLAIN'
+ * @param {Function} Mechanism Mechanism class
+ */
+module.exports.register = (name, Mechanism) => {
+  name = module.exports.check(name, Mechanism)
+
+  if (!mechanisms[name]) {
+    names.push(name)
+  }
+  mechanisms[name] = Mechanism
+}
+
+/**
+ * Removes a registered SASL mechanism
+ *
+ * @param {String} name Mechanism name
+ * @return {Boolean} Returns true if the mechanism was registered
+ */
+module.exports.unregister = name => {
+  name = (name || '').toString().toUpperCase().trim()
+
+  if (!mechanisms[name]) {
+    return false
+  }
+  delete mechanisms[name]
+  names.splice(names.indexOf(name), 1)
+  return true
+}
+
+/**
+ * Checks that the mechanism name is valid and the mechanism implements the
+ * required methods, throws a TypeError otherwise
+ *
+ * @param {String} name Mechanism name
+ * @param {Function} Mechanism Mechanism class
+ * @return {String} Normalized mechanism name
+ */
+module.exports.check = (name, Mechanism) => {
+  name = (name || '').toString().toUpperCase().trim()
+
+  if (!/^[A-Z0-9_-]+$/.test(name)) {
+    throw new TypeError('Invalid SASL mechanism name ' + JSON.stringify(name))
+  }
+
+  if (typeof Mechanism !== 'function' || typeof Mechanism.prototype.start !== 'function' || typeof Mechanism.prototype.step !== 'function') {
+    throw new TypeError('SASL mechanism ' + name + ' must implement start() and step()')
+  }
+
+  return name
+}
+
+/**
+ * Returns a registered SASL mechanism
+ *
+ * @param {String} name Mechanism name
+ * @return {Function} Mechanism class or false if not registered
+ */
+module.exports.get = name => mechanisms[(name || '').toString().toUpperCase().trim()] || false
+
+/**
+ * Returns names of registered SASL mechanisms in the order of preference
+ *
+ * @return {Array} List of mechanism names
+ */
+module.exports.list = () => names.slice()
+
+/**
+ * Returns true if a password is set
+ */
+function hasPassword (options) {
+  return typeof options.auth.pass !== 'undefined' && options.auth.pass !== null
+}
+
+/**
+ * Decodes the JSON error from an OAuth2 error challenge
+ *
+ * @param {Buffer} challenge Decoded challenge from the server
+ * @return {Object|Boolean} Error object, eg. {status: 'invalid_token'}, or false if not available
+ */
+function parseOAuthError (challenge) {
+  try {
+    let oauthError = JSON.parse(challenge.toString('utf-8'))
+    return oauthError && typeof oauthError === 'object' ? oauthError : false
+  } catch (E) {
+    return false
+  }
+}
+
+/**
+ * TLS client certificate authentication (RFC 4422 appendix A)
+ */
+class External {
+  constructor (options) {
+    this.options = options
+    this.auth = options.auth
+    this.user = this.auth.authzid || (options.clientCertificate && options.clientCertificate.subject && options.clientCertificate.subject.CN) || options.user
+  }
+
+  static supports (options) {
+    return !!options.auth.external
+  }
+
+  start (callback) {
+    if (!this.options.secure) {
+      return callback(new Error('EXTERNAL authentication requires a TLS connection'))
+    }
+
+    if (!this.options.clientCertificate) {
+      return callback(new Error('EXTERNAL authentication requires a TLS client certificate but none was presented'))
+    }
+
+    // empty initial response lets the server derive the identity from the certificate
+    callback(null, this.auth.authzid || '')
+  }
+
+  step (challenge, callback) {
+    callback(null, '')
+  }
+}
+
+/**
+ * Google specific OAuth2 authentication. Uses either a static access token or
+ * a token generator object that is asked for a new token if the current one
+ * is rejected
+ */
+class XOAuth2 {
+  constructor (options) {
+    this.options = options
+    this.auth = options.auth
+    this.refresh = false
+    this.oauthError = false
+  }
+
+  static supports (options) {
+    return !!options.auth.xoauth2
+  }
+
+  static get plaintext () {
+    return true
+  }
+
+  start (callback) {
+    let xoauth2 = this.auth.xoauth2
+
+    if (!xoauth2 || typeof xoauth2 !== 'object') {
+      return callback(null, this._buildToken(this.auth.user, xoauth2))
+    }
+
+    xoauth2[this.refresh ? 'generateToken' : 'getToken']((err, token, accessToken) => {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, this._buildToken(xoauth2.options && xoauth2.options.user, accessToken, token))
+    })
+  }
+
+  step (challenge, callback) {
+    // server sends a JSON error and expects an empty response
+    this.oauthError = parseOAuthError(challenge) || this.oauthError
+    callback(null, '')
+  }
+
+  retry () {
+    if (this.refresh || !this.auth.xoauth2 || typeof this.auth.xoauth2 !== 'object') {
+      return false
+    }
+    this.refresh = true
+    return true
+  }
+
+  fail (err) {
+    if (this.oauthError) {
+      err.oauthError = this.oauthError
+    }
+  }
+
+  /**
+   * Builds a login token for XOAUTH2 authentication command
+   *
+   * @param {String} user E-mail address of the user
+   * @param {String} accessToken Valid access token for the user
+   * @param {String} [token] Base64 formatted token from the token generator
+   * @return {Buffer} Login token
+   */
+  _buildToken (user, accessToken, token) {
+    if (token && (!this.auth.authzid || !accessToken)) {
+      return new Buffer(token, 'base64')
+    }
+
+    let authData = [
+      // XOAUTH2 has no separate authorization identity, so it replaces the user
+      'user=' + (this.auth.authzid || user || ''),
+      'auth=Bearer ' + accessToken,
+      '',
+      ''
+    ]
+    return new Buffer(authData.join('\x01'))
+  }
+}
+
+/**
+ * Standard OAuth2 authentication (RFC 7628), uses the same token sources
+ * as XOAUTH2
+ */
+class OAuthBearer extends XOAuth2 {
+  step (challenge, callback) {
+    this.oauthError = parseOAuthError(challenge) || this.oauthError
+    // dummy response to the error challenge
+    callback(null, '\x01')
+  }
+
+  _buildToken (user, accessToken) {
+    // token generator returns a XOAUTH2 formatted token, so the raw access token is used instead
+    let authzid = SCRAM.escapeName(this.auth.authzid || user || this.auth.user || '')
+    let authData = [
+      'n,' + (authzid ? 'a=' + authzid : '') + ',',
+      'host=' + this.options.host,
+      'port=' + this.options.port,
+      'auth=Bearer ' + accessToken,
+      '',
+      ''
+    ]
+    return new Buffer(authData.join('\x01'))
+  }
+}
+
+/**
+ * NTLM authentication with NTLMv2 and LMv2 responses
+ */
+class NTLM {
+  constructor (options) {
+    this.auth = options.auth
+  }
+
+  static supports (options) {
+    return !!options.auth.domain
+  }
+
+  start (callback) {
+    callback(null, ntlm.createType1Message({
+      domain: this.auth.domain,
+      workstation: this.auth.workstation
+    }))
+  }
+
+  step (challenge, callback) {
+    let type3Message
+    try {
+      type3Message = ntlm.createType3Message(ntlm.parseType2Message(challenge), {
+        domain: this.auth.domain,
+        workstation: this.auth.workstation,
+        user: this.auth.user,
+        pass: this.auth.pass
+      })
+    } catch (E) {
+      return callback(E)
+    }
+
+    callback(null, type3Message)
+  }
+}
+
+/**
+ * SCRAM authentication (RFC 5802, RFC 7677). -PLUS variants use TLS
+ * channel binding
+ */
+class Scram {
+  constructor (options, mechanism) {
+    this.options = options
+    this.scram = new SCRAM({
+      mechanism,
+      user: options.auth.user,
+      pass: options.auth.pass,
+      authzid: options.auth.authzid,
+      channelBinding: options.channelBinding,
+      // server did not offer channel binding even though we could use it
+      bindingSupported: !!options.channelBinding && !options.mechanisms.some(method => /^SCRAM-.*-PLUS$/.test(method))
+    })
+    this.verified = false
+  }
+
+  start (callback) {
+    callback(null, this.scram.getClientFirstMessage())
+  }
+
+  step (challenge, callback) {
+    if (this.scram.serverSignature) {
+      if (!this.scram.verifyServerFinalMessage(challenge.toString('utf-8'))) {
+        return callback(new Error('Invalid server signature'))
+      }
+      this.verified = true
+      return callback(null, '')
+    }
+
+    let clientFinal
+    try {
+      clientFinal = this.scram.getClientFinalMessage(challenge.toString('utf-8'))
+    } catch (E) {
+      return callback(E)
+    }
+    callback(null, clientFinal)
+  }
+
+  complete () {
+    if (!this.verified) {
+      return new Error('Server signature missing')
+    }
+  }
+}
+
+/**
+ * Generates SCRAM mechanism classes for every hash function
+ *
+ * @param {String} mechanism Mechanism name
+ * @return {Function} Mechanism class
+ */
+function scramMechanism (mechanism) {
+  let plus = /-PLUS$/.test(mechanism)
+
+  return class extends Scram {
+    constructor (options) {
+      super(options, mechanism)
+    }
+
+    static supports (options) {
+      return hasPassword(options) && (!plus || !!options.channelBinding)
+    }
+  }
+}
+
+/**
+ * Plain text username and password (RFC 4616)
+ */
+class Plain {
+  constructor (options) {
+    this.auth = options.auth
+  }
+
+  static supports (options) {
+    return hasPassword(options)
+  }
+
+  static get plaintext () {
+    return true
+  }
+
+  start (callback) {
+    // authorization identity is empty by default as it causes problems with some servers
+    callback(null, (this.auth.authzid || '') + '\u0000' + this.auth.user + '\u0000' + this.auth.pass)
+  }
+
+  step (challenge, callback) {
+    callback(new Error('Unexpected server challenge'))
+  }
+}
+
+/**
+ * Username and password sent as responses to separate server prompts
+ */
+class Login {
+  constructor (options) {
+    this.auth = options.auth
+    this.prompts = ['Username:', 'Password:']
+  }
+
+  static supports (options) {
+    return hasPassword(options)
+  }
+
+  static get plaintext () {
+    return true
+  }
+
+  start (callback) {
+    callback(null, false)
+  }
+
+  step (challenge, callback) {
+    let prompt = this.prompts.shift()
+
+    if (!prompt || challenge.toString() !== prompt) {
+      return callback(new Error('Invalid login sequence while waiting for "334 ' + new Buffer(prompt || '').toString('base64') + '"'))
+    }
+
+    callback(null, (prompt === 'Username:' ? this.auth.user : this.auth.pass) + '')
+  }
+}
+
+/**
+ * Challenge-response with the password used as a HMAC key (RFC 2195)
+ */
+class CramMd5 {
+  constructor (options) {
+    this.auth = options.auth
+  }
+
+  static supports (options) {
+    return hasPassword(options)
+  }
+
+  start (callback) {
+    callback(null, false)
+  }
+
+  step (challenge, callback) {
+    let hmacMD5 = crypto.createHmac('md5', this.auth.pass)
+    hmacMD5.update(challenge.toString('ascii'))
+    callback(null, this.auth.user + ' ' + hmacMD5.digest('hex'))
+  }
+}
+
+// built-in mechanisms in the order of preference. Mechanisms that use specific
+// authentication data are preferred if this data is set
+module.exports.register('EXTERNAL', External)
+module.exports.register('XOAUTH2', XOAuth2)
+module.exports.register('OAUTHBEARER', OAuthBearer)
+module.exports.register('NTLM', NTLM)
+module.exports.register('SCRAM-SHA-256-PLUS', scramMechanism('SCRAM-SHA-256-PLUS'))
+module.exports.register('SCRAM-SHA-256', scramMechanism('SCRAM-SHA-256'))
+module.exports.register('SCRAM-SHA-1-PLUS', scramMechanism('SCRAM-SHA-1-PLUS'))
+module.exports.register('SCRAM-SHA-1', scramMechanism('SCRAM-SHA-1'))
+module.exports.register('PLAIN', Plain)
+module.exports.register('LOGIN', Login)
+module.exports.register('CRAM-MD5', CramMd5)
@@ -0,0 +1,207 @@
+'use strict'
+
+const crypto = require('crypto')
+
+// upper limit for the iteration count from the server, as the key
+// derivation blocks the event loop for the whole time
+const MAX_ITERATIONS = 100000
+
+// hash functions and digest lengths for supported SCRAM mechanisms
+const ALGORITHMS = {
+  'SCRAM-SHA-1': {
+    hash: 'sha1',
+    length: 20
+  },
+  'SCRAM-SHA-256': {
+    hash: 'sha256',
+    length: 32
+  }
+}
+
+/**
+ * Generates SCRAM (RFC 5802) client messages and verifies the server
+ * signature. Only the message contents are handled here, base64 encoding
+ * for the SMTP AUTH exchange is done by the caller
+ *
+ * Options object takes the following properties:
+ *
+ *  * **mechanism** - SCRAM mechanism name, eg. 'SCRAM-SHA-256' or 'SCRAM-SHA-256-PLUS'
+ *  * **user** - username
+ *  * **pass** - password
+ *  * **authzid** - optional authorization identity
+ *  * **channelBinding** - object {type, data} with the channel binding type
+ *    ('tls-unique' or 'tls-exporter') and data, required for -PLUS mechanisms
+ *  * **bindingSupported** - if true, then the client supports channel binding but
+ *    the server did not advertise any -PLUS mechanism
+ *  * **nonce** - client nonce, random if not set
+ *
+ * @constructor
+ * @param {Object} options Option properties
+ */
+class SCRAM {
+  constructor (options) {
+    this.options = options || {}
+
+    this.mechanism = (this.options.mechanism || '').toUpperCase()
+    this.plus = /-PLUS$/.test(this.mechanism)
+    this.algorithm = ALGORITHMS[this.mechanism.replace(/-PLUS$/, '')]
+
+    if (!this.algorithm) {
+      throw new Error('Unsupported SCRAM mechanism ' + JSON.stringify(this.options.mechanism))
+    }
+
+    if (this.plus && !this.options.channelBinding) {
+      throw new Error('Channel binding data is required for ' + this.mechanism)
+    }
+
+    this.nonce = this.options.nonce || crypto.randomBytes(18).toString('base64')
+
+    let bindingFlag = 'n'
+    if (this.plus) {
+      bindingFlag = 'p=' + this.options.channelBinding.type
+    } else if (this.options.bindingSupported) {
+      bindingFlag = 'y'
+    }
+
+    this.gs2Header = bindingFlag + ',' + (this.options.authzid ? 'a=' + escapeName(this.options.authzid) : '') + ','
+
+    this.clientFirstBare = 'n=' + escapeName(this.options.user || '') + ',r=' + this.nonce
+    this.serverSignature = false
+  }
+
+  /**
+   * Returns the initial client message
+   *
+   * @return {String} client-first-message
+   */
+  getClientFirstMessage () {
+    return this.gs2Header + this.clientFirstBare
+  }
+
+  /**
+   * Generates the client proof for the server challenge
+   *
+   * @param {String} serverFirst server-first-message
+   * @return {String} client-final-message
+   */
+  getClientFinalMessage (serverFirst) {
+    let attributes = parseAttributes(serverFirst)
+
+    if (attributes.e) {
+      throw new Error('Server error ' + attributes.e)
+    }
+
+    let salt = new Buffer(attributes.s || '', 'base64')
+    let iterations = Number(attributes.i)
+
+    if (!attributes.r || attributes.r.indexOf(this.nonce) !== 0 || attributes.r === this.nonce) {
+      throw new Error('Invalid server nonce')
+    }
+
+    if (!salt.length || !/^\d+$/.test(attributes.i || '') || iterations < 1) {
+      throw new Error('Invalid server challenge')
+    }
+
+    if (iterations > MAX_ITERATIONS) {
+      throw new Error('Iteration count ' + iterations + ' from the server is larger than ' + MAX_ITERATIONS)
+    }
+
+    let channelBinding = new Buffer(this.gs2Header)
+    if (this.plus) {
+      channelBinding = Buffer.concat([channelBinding, this.options.channelBinding.data])
+    }
+
+    let clientFinalWithoutProof = 'c=' + channelBinding.toString('base64') + ',r=' + attributes.r
+    let authMessage = this.clientFirstBare + ',' + serverFirst + ',' + clientFinalWithoutProof
+
+    let saltedPassword = crypto.pbkdf2Sync(new Buffer(this.options.pass || '', 'utf-8'), salt, iterations, this.algorithm.length, this.algorithm.hash)
+    let clientKey = this._hmac(saltedPassword, 'Client Key')
+    let storedKey = crypto.createHash(this.algorithm.hash).update(clientKey).digest()
+    let clientSignature = this._hmac(storedKey, authMessage)
+
+    let clientProof = new Buffer(clientKey.length)
+    for (let i = 0; i < clientKey.length; i++) {
+      clientProof[i] = clientKey[i] ^ clientSignature[i]
+    }
+
+    let serverKey = this._hmac(saltedPassword, 'Server Key')
+    this.serverSignature = this._hmac(serverKey, authMessage)
+
+    return clientFinalWithoutProof + ',p=' + clientProof.toString('base64')
+  }
+
+  /**
+   * Verifies the server signature from the final server message
+   *
+   * @param {String} serverFinal server-final-message
+   * @return {Boolean} Returns true if the server signature matches
+   */
+  verifyServerFinalMessage (serverFinal) {
+    let attributes = parseAttributes(serverFinal)
+
+    if (!this.serverSignature || !attributes.v) {
+      return false
+    }
+
+    let signature = new Buffer(attributes.v, 'base64')
+    if (signature.length !== this.serverSignature.length) {
+      return false
+    }
+
+    // compare all bytes to not leak the position of the first mismatch
+    let diff = 0
+    for (let i = 0; i < signature.length; i++) {
+      diff |= signature[i] ^ this.serverSignature[i]
+    }
+    return diff === 0
+  }
+
+  _hmac (key, data) {
+    return crypto.createHmac(this.algorithm.hash, key).update(data).digest()
+  }
+}
+
+/**
+ * List of supported SCRAM mechanisms, without the -PLUS variants
+ */
+SCRAM.MECHANISMS = Object.keys(ALGORITHMS)
+
+/**
+ * Largest iteration count that is accepted from the server
+ */
+SCRAM.MAX_ITERATIONS = MAX_ITERATIONS
+
+/**
+ * Escapes a username or an authorization identity for the SCRAM message
+ * or a GS2 header, RFC 5801 section 4
+ *
+ * @param {String} name Username
+ * @return {String} Escaped username
+ */
+function escapeName (name) {
+  return name.toString().replace(/[=,]/g, c => c === '=' ? '=3D' : '=2C')
+}
+
+SCRAM.escapeName = escapeName
+
+/**
+ * Parses a SCRAM message into an object of attributes, eg. 'r=abc,i=4096'
+ * becomes {r: 'abc', i: '4096'}
+ *
+ * @param {String} message SCRAM message
+ * @return {Object} Attribute values
+ */
+function parseAttributes (message) {
+  let attributes = {}
+  let parts = (message || '').toString().split(',')
+
+  parts.forEach(part => {
+    let match = part.match(/^([a-zA-Z])=(.*)$/)
+    if (match && !(match[1] in attributes)) {
+      attributes[match[1]] = match[2]
+    }
+  })
+  return attributes
+}
+
+module.exports = SCRAM
@@ -1 +1,5 @@
 module.exports = require('./smtp-connection')
+module.exports.SMTPPool = require('./smtp-pool')
+module.exports.deliver = require('./mx-delivery')
+module.exports.mtaSts = require('./mta-sts')
+module.exports.dane = require('./dane')
@@ -0,0 +1,346 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+const crypto = require('crypto')
+const SMTPConnection = require('./smtp-connection')
+const logger = require('./logger')
+
+// default values for the pool
+const MAX_CONNECTIONS = 5 // how many connections to keep open at the same time
+const MAX_MESSAGES = 100 // how many messages to send over a single connection before replacing it
+const IDLE_TIMEOUT = 30 * 1000 // how long to keep an unused connection open
+
+// options that are used by the pool itself and are not passed to SMTPConnection
+const POOL_OPTIONS = ['auth', 'maxConnections', 'maxMessages', 'idleTimeout']
+
+/**
+ * Generates a pool of SMTP connections to a single host
+ *
+ * Optional options object takes the same properties as SMTPConnection and
+ * additionally the following possible properties:
+ *
+ *  * **auth** - authentication data to use with `login()` for every new connection
+ *  * **maxConnections** - how many connections to keep open (defaults to 5)
+ *  * **maxMessages** - how many messages to send over a single connection (defaults to 100)
+ *  * **idleTimeout** - Time of inactivity until an unused connection is closed (defaults to 30000)
+ *
+ * @constructor
+ * @namespace SMTP Client module
+ * @param {Object} [options] Option properties
+ */
+class SMTPPool extends EventEmitter {
+  constructor (options) {
+    super()
+
+    this.options = options || {}
+
+    this.maxConnections = Number(this.options.maxConnections) || MAX_CONNECTIONS
+    this.maxMessages = Number(this.options.maxMessages) || MAX_MESSAGES
+    this.idleTimeout = Number(this.options.idleTimeout) || IDLE_TIMEOUT
+
+    this.logger = logger.getLogger(this.options)
+
+    /**
+     * If set to true, this pool does not accept new messages
+     * @type {Boolean}
+     */
+    this.closed = false
+
+    /**
+     * Open connection resources
+     * @private
+     */
+    this._connections = []
+
+    /**
+     * Messages waiting for a free connection
+     * @private
+     */
+    this._queue = []
+
+    /**
+     * Count of messages sent through the pool
+     * @private
+     */
+    this._sent = 0
+  }
+
+  /**
+   * Queues a message to be sent over the next free connection
+   *
+   * @param {Object} envelope Envelope object, {from: addr, to: [addr]}
+   * @param {Object} message String, Buffer or a Stream
+   * @param {Function} [callback] Callback to return once sending is completed
+   * @return {Promise} If callback is not set
+   */
+  send (envelope, message, callback) {
+    let promise
+
+    if (typeof callback !== 'function') {
+      promise = new Promise((resolve, reject) => {
+        callback = (err, info) => err ? reject(err) : resolve(info)
+      })
+    }
+
+    if (this.closed) {
+      setImmediate(() => callback(formatError('Connection pool is closed', 'ECONNECTION')))
+      return promise
+    }
+
+    this._queue.push({
+      envelope,
+      message,
+      callback
+    })
+
+    setImmediate(() => this._processQueue())
+
+    return promise
+  }
+
+  /**
+   * Closes the pool. Queued messages are rejected, idle connections and
+   * connections that are not ready yet are closed immediately and busy
+   * connections after the current message
+   */
+  close () {
+    this.closed = true
+
+    let queue = this._queue
+    this._queue = []
+    queue.forEach(job => job.callback(formatError('Connection pool is closed', 'ECONNECTION')))
+
+    this._connections.slice().forEach(resource => {
+      if (!resource.ready) {
+        // connection is still being set up, so there is no session to quit
+        resource.connection.close()
+        this._retire(resource)
+      } else if (!resource.job) {
+        this._quit(resource)
+      }
+    })
+  }
+
+  /**
+   * Returns current state of the pool
+   *
+   * @return {Object} Pool statistics
+   */
+  getStats () {
+    return {
+      connections: this._connections.length,
+      idle: this._connections.filter(resource => resource.available).length,
+      busy: this._connections.filter(resource => !!resource.job).length,
+      queued: this._queue.length,
+      sent: this._sent
+    }
+  }
+
+  /**
+   * Sends queued messages using idle connections or opens new connections
+   * if the limit is not reached yet
+   */
+  _processQueue () {
+    while (this._queue.length) {
+      let resource = this._connections.filter(resource => resource.available)[0]
+      if (resource) {
+        this._sendMessage(resource, this._queue.shift())
+        continue
+      }
+
+      // connections that are not ready yet will take a message once they are
+      let pending = this._connections.filter(resource => !resource.ready).length
+      if (pending < this._queue.length && this._connections.length < this.maxConnections) {
+        this._createConnection()
+        continue
+      }
+
+      break
+    }
+  }
+
+  /**
+   * Opens a new connection and authenticates it if auth data is set
+   */
+  _createConnection () {
+    let connectionOptions = {}
+    Object.keys(this.options).forEach(key => {
+      if (POOL_OPTIONS.indexOf(key) < 0) {
+        connectionOptions[key] = this.options[key]
+      }
+    })
+
+    let resource = {
+      id: crypto.randomBytes(8).toString('base64').replace(/\W/g, ''),
+      connection: new SMTPConnection(connectionOptions),
+      ready: false,
+      available: false,
+      closed: false,
+      messages: 0,
+      job: false,
+      idleTimer: false
+    }
+
+    this._connections.push(resource)
+
+    this.logger.debug('[%s] Opening pooled connection', resource.id)
+
+    resource.connection.once('error', err => this._retire(resource, err))
+    resource.connection.once('end', () => {
+      // make sure the socket is closed if the server ended the connection
+      resource.connection.close()
+      this._retire(resource)
+    })
+
+    resource.connection.connect(() => {
+      if (!this.options.auth) {
+        return this._release(resource)
+      }
+
+      resource.connection.login(this.options.auth, err => {
+        if (err) {
+          return this._retire(resource, err)
+        }
+        this._release(resource)
+      })
+    })
+  }
+
+  /**
+   * Sends a message over a connection
+   *
+   * @param {Object} resource Connection resource
+   * @param {Object} job Queued message
+   */
+  _sendMessage (resource, job) {
+    clearTimeout(resource.idleTimer)
+    resource.available = false
+    resource.job = job
+
+    resource.connection.send(job.envelope, job.message, (err, info) => {
+      if (resource.job !== job) {
+        // already failed when the connection was retired
+        return
+      }
+      resource.job = false
+      resource.messages++
+      if (!err) {
+        this._sent++
+      }
+
+      job.callback(err, info)
+
+      if (resource.closed) {
+        return
+      }
+
+      if (this.closed || resource.messages >= this.maxMessages) {
+        this.logger.debug('[%s] Retiring pooled connection after %s messages', resource.id, resource.messages)
+        return this._quit(resource)
+      }
+
+      if (!err) {
+        return this._release(resource)
+      }
+
+      // failed transaction might leave the session in an unknown state
+      resource.connection.reset(err => {
+        if (err) {
+          return this._quit(resource)
+        }
+        this._release(resource)
+      })
+    })
+  }
+
+  /**
+   * Marks a connection as available for the next message
+   *
+   * @param {Object} resource Connection resource
+   */
+  _release (resource) {
+    if (resource.closed) {
+      return
+    }
+
+    if (this.closed) {
+      return this._quit(resource)
+    }
+
+    resource.ready = true
+    resource.available = true
+
+    if (this._queue.length) {
+      return this._processQueue()
+    }
+
+    clearTimeout(resource.idleTimer)
+    resource.idleTimer = setTimeout(() => {
+      this.logger.debug('[%s] Closing idle pooled connection', resource.id)
+      this._quit(resource)
+    }, this.idleTimeout)
+  }
+
+  /**
+   * Closes a connection gracefully
+   *
+   * @param {Object} resource Connection resource
+   */
+  _quit (resource) {
+    resource.available = false
+    resource.connection.quit()
+    this._retire(resource)
+  }
+
+  /**
+   * Removes a connection from the pool. If the connection had a message
+   * in progress, the message fails with the connection error
+   *
+   * @param {Object} resource Connection resource
+   * @param {Error} [err] Error that ended the connection
+   */
+  _retire (resource, err) {
+    if (resource.closed) {
+      return
+    }
+    resource.closed = true
+    resource.available = false
+    clearTimeout(resource.idleTimer)
+
+    this._connections = this._connections.filter(item => item !== resource)
+
+    if (err) {
+      this.logger.error('[%s] Pooled connection failed: %s', resource.id, err.message)
+      resource.connection.close()
+    }
+
+    if (resource.job) {
+      let job = resource.job
+      resource.job = false
+      job.callback(err || formatError('Connection closed unexpectedly', 'ECONNECTION'))
+    } else if (err && !resource.ready && this._queue.length) {
+      // connection never became ready, fail the message that caused it to be opened
+      this._queue.shift().callback(err)
+    }
+
+    if (!this.closed) {
+      setImmediate(() => this._processQueue())
+    }
+  }
+}
+
+/**
+ * Generates an error object for the pool API
+ *
+ * @param {String} message Error message
+ * @param {String} code Error code
+ * @return {Error} Error object
+ */
+function formatError (message, code) {
+  let err = new Error(message)
+  err.code = code
+  err.command = 'API'
+  return err
+}
+
+module.exports = SMTPPool
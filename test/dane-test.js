@@ -0,0 +1,357 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals afterEach, beforeEach, describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var crypto = require('crypto')
+var dns = require('dns')
+var SMTPConnection = require('../lib/smtp-connection-mit')
+var SMTPServer = require('smtp-server-mit').SMTPServer
+var dane = require('../lib/dane')
+var mockServer = require('./smtp-mock-server')
+var localhostCert = require('./localhost-cert')
+
+chai.config.includeStack = true
+
+var PORT_NUMBER = 8997
+
+function toDer (pem) {
+  return new Buffer(pem.replace(/-----[^-]+-----|\s+/g, ''), 'base64')
+}
+
+function hash (algo, data) {
+  return crypto.createHash(algo).update(data).digest('hex')
+}
+
+describe('DANE tests', function () {
+  describe('TLSA records', function () {
+    it('should extract SubjectPublicKeyInfo', function () {
+      expect(dane.getSpki(toDer(localhostCert.cert))).to.deep.equal(toDer(localhostCert.publicKeys.cert))
+      expect(dane.getSpki(toDer(localhostCert.ca))).to.deep.equal(toDer(localhostCert.publicKeys.ca))
+    })
+
+    it('should normalize records', function () {
+      var data = new Uint8Array([1, 2, 3]).buffer
+
+      expect(dane.normalizeRecords([{
+        certUsage: 3,
+        selector: 1,
+        match: 1,
+        data: data
+      }, {
+        usage: 2,
+        selector: 0,
+        matchingType: 2,
+        data: '0a0b 0c'
+      }, {
+        usage: 1,
+        selector: 1,
+        matchingType: 1,
+        data: '010203'
+      }, {
+        usage: 3,
+        selector: 1,
+        matchingType: 3,
+        data: '010203'
+      }])).to.deep.equal([{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: new Buffer([1, 2, 3])
+      }, {
+        usage: 2,
+        selector: 0,
+        matchingType: 2,
+        data: new Buffer([10, 11, 12])
+      }])
+    })
+  })
+
+  describe('Connection', function () {
+    var server, secureServer, client, records, lookups
+
+    beforeEach(function (done) {
+      records = {}
+      lookups = []
+
+      server = mockServer({
+        port: PORT_NUMBER,
+        extensions: ['STARTTLS'],
+        tls: localhostCert
+      })
+
+      secureServer = new SMTPServer({
+        secure: true,
+        key: localhostCert.key,
+        cert: localhostCert.cert,
+        logger: false
+      })
+
+      server.start(function () {
+        secureServer.listen(PORT_NUMBER + 1, done)
+      })
+    })
+
+    afterEach(function (done) {
+      if (client) {
+        client.close()
+      }
+      server.stop(function () {
+        secureServer.close(done)
+      })
+    })
+
+    function resolveTlsa (name, callback) {
+      lookups.push(name)
+      setImmediate(function () {
+        var err
+        if (records[name] instanceof Error) {
+          return callback(records[name])
+        }
+        if (!records[name]) {
+          err = new Error('queryTlsa ENODATA ' + name)
+          err.code = 'ENODATA'
+          return callback(err)
+        }
+        callback(null, records[name])
+      })
+    }
+
+    function connect (options, callback) {
+      options.host = options.host || 'localhost'
+      options.port = options.port || PORT_NUMBER
+      options.logger = false
+      options.dane = true
+      options.resolveTlsa = 'resolveTlsa' in options ? options.resolveTlsa : resolveTlsa
+      client = new SMTPConnection(options)
+      client.once('error', callback)
+      client.connect(function () {
+        client.removeListener('error', callback)
+        callback()
+      })
+    }
+
+    var name = '_' + PORT_NUMBER + '._tcp.localhost'
+
+    it('should verify DANE-EE record of the public key', function (done) {
+      records[name] = [{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.cert))
+      }]
+
+      connect({}, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(client.endpoint.tlsa.length).to.equal(1)
+        expect(lookups).to.deep.equal([name])
+        done()
+      })
+    })
+
+    it('should verify DANE-EE record of the certificate', function (done) {
+      records[name] = [{
+        usage: 3,
+        selector: 0,
+        matchingType: 2,
+        data: hash('sha512', toDer(localhostCert.cert))
+      }]
+
+      connect({}, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        done()
+      })
+    })
+
+    it('should verify DANE-TA record', function (done) {
+      server.options.tls = {
+        key: localhostCert.chain.key,
+        cert: localhostCert.chain.cert + '\n' + localhostCert.ca
+      }
+      records[name] = [{
+        usage: 2,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.ca))
+      }]
+
+      connect({}, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        done()
+      })
+    })
+
+    it('should fail if the chain is signed by a certificate that is not a CA', function (done) {
+      server.options.tls = {
+        key: localhostCert.forged.key,
+        cert: localhostCert.forged.cert + '\n' + localhostCert.chain.cert + '\n' + localhostCert.ca
+      }
+      records[name] = [{
+        usage: 2,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.ca))
+      }]
+
+      connect({}, function (err) {
+        expect(err.code).to.equal('ETLS')
+        expect(err.message).to.equal('Certificate of localhost does not match TLSA records')
+        done()
+      })
+    })
+
+    it('should fail if DANE-TA is not in the chain', function (done) {
+      records[name] = [{
+        usage: 2,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.ca))
+      }]
+
+      connect({}, function (err) {
+        expect(err.code).to.equal('ETLS')
+        expect(err.message).to.equal('Certificate of localhost does not match TLSA records')
+        done()
+      })
+    })
+
+    it('should fail if no record matches', function (done) {
+      records[name] = [{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.ca))
+      }]
+
+      connect({}, function (err) {
+        expect(err.code).to.equal('ETLS')
+        expect(err.command).to.equal('STARTTLS')
+        expect(err.message).to.equal('Certificate of localhost does not match TLSA records')
+        done()
+      })
+    })
+
+    it('should try the next host if no record matches', function (done) {
+      var publicKeys = [localhostCert.publicKeys.ca, localhostCert.publicKeys.cert]
+
+      connect({
+        host: ['localhost', 'localhost'],
+        resolveTlsa: function (name, callback) {
+          // records of the first host do not match the certificate
+          records[name] = [{
+            usage: 3,
+            selector: 1,
+            matchingType: 1,
+            data: hash('sha256', toDer(publicKeys.shift()))
+          }]
+          resolveTlsa(name, callback)
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(lookups).to.deep.equal([name, name])
+        expect(server.connections.length).to.equal(2)
+        done()
+      })
+    })
+
+    it('should connect without TLSA records', function (done) {
+      connect({
+        tls: {
+          rejectUnauthorized: false
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(client.endpoint.tlsa).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should fail if STARTTLS is not supported', function (done) {
+      server.options.extensions = []
+      records[name] = [{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.cert))
+      }]
+
+      connect({
+        ignoreTLS: true
+      }, function (err) {
+        expect(err.code).to.equal('ETLS')
+        expect(err.message).to.match(/^Server does not support STARTTLS required by TLSA records/)
+        done()
+      })
+    })
+
+    it('should fail if TLSA lookup fails', function (done) {
+      records[name] = new Error('queryTlsa ESERVFAIL ' + name)
+      records[name].code = 'ESERVFAIL'
+
+      connect({}, function (err) {
+        expect(err.code).to.equal('ECONNECTION')
+        expect(err.message).to.equal('TLSA lookup for ' + name + ' failed: queryTlsa ESERVFAIL ' + name)
+        done()
+      })
+    })
+
+    it('should fail if TLSA lookup is not supported', function (done) {
+      var defaultResolveTlsa = dns.resolveTlsa
+      dns.resolveTlsa = undefined
+
+      connect({
+        resolveTlsa: false
+      }, function (err) {
+        dns.resolveTlsa = defaultResolveTlsa
+        expect(err.code).to.equal('ETLS')
+        expect(err.command).to.equal('CONN')
+        expect(err.message).to.match(/TLSA lookup is not supported/)
+        expect(lookups).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should verify TLSA records with implicit TLS', function (done) {
+      records['_' + (PORT_NUMBER + 1) + '._tcp.localhost'] = [{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.cert))
+      }]
+
+      connect({
+        port: PORT_NUMBER + 1,
+        secure: true
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        done()
+      })
+    })
+
+    it('should fail with implicit TLS if no record matches', function (done) {
+      records['_' + (PORT_NUMBER + 1) + '._tcp.localhost'] = [{
+        usage: 3,
+        selector: 1,
+        matchingType: 1,
+        data: hash('sha256', toDer(localhostCert.publicKeys.ca))
+      }]
+
+      connect({
+        port: PORT_NUMBER + 1,
+        secure: true
+      }, function (err) {
+        expect(err.code).to.equal('ETLS')
+        expect(err.command).to.equal('CONN')
+        done()
+      })
+    })
+  })
+})
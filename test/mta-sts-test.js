@@ -0,0 +1,394 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals afterEach, beforeEach, describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var SMTPConnection = require('../lib/smtp-connection-mit')
+var mtaSts = require('../lib/mta-sts')
+var mockServer = require('./smtp-mock-server')
+var localhostCert = require('./localhost-cert')
+
+chai.config.includeStack = true
+
+var PORT_NUMBER = 8897
+
+var MX_RECORDS = {
+  'example.com': [{
+    exchange: '127.0.0.1',
+    priority: 5
+  }, {
+    exchange: 'localhost',
+    priority: 10
+  }]
+}
+
+function resolveMx (domain, callback) {
+  setImmediate(function () {
+    callback(null, MX_RECORDS[domain])
+  })
+}
+
+describe('MTA-STS tests', function () {
+  describe('Policy', function () {
+    it('should parse policy file', function () {
+      expect(mtaSts.parsePolicy('version: STSv1\r\nmode: enforce\r\nmx: mail.example.com\r\nmx: *.Example.net.\r\nmax_age: 86400\r\n')).to.deep.equal({
+        version: 'STSv1',
+        mode: 'enforce',
+        mx: ['mail.example.com', '*.example.net'],
+        maxAge: 86400
+      })
+    })
+
+    it('should parse policy object', function () {
+      expect(mtaSts.parsePolicy({
+        version: 'STSv1',
+        mode: 'testing',
+        mx: 'mail.example.com',
+        max_age: 3600
+      })).to.deep.equal({
+        version: 'STSv1',
+        mode: 'testing',
+        mx: ['mail.example.com'],
+        maxAge: 3600
+      })
+    })
+
+    it('should reject invalid policy', function () {
+      expect(function () {
+        mtaSts.parsePolicy('mode: enforce\nmx: mail.example.com\nmax_age: 86400\n')
+      }).to.throw(/Invalid MTA-STS policy version/)
+      expect(function () {
+        mtaSts.parsePolicy('version: STSv1\nmode: strict\nmx: mail.example.com\nmax_age: 86400\n')
+      }).to.throw(/Invalid MTA-STS policy mode/)
+      expect(function () {
+        mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.com\n')
+      }).to.throw(/Invalid MTA-STS policy max_age/)
+      expect(function () {
+        mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmax_age: 86400\n')
+      }).to.throw(/does not list any MX hosts/)
+    })
+
+    it('should match MX hosts', function () {
+      var policy = mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.com\nmx: *.example.net\nmax_age: 86400\n')
+
+      expect(mtaSts.matchMx(policy, 'mail.example.com')).to.be.true
+      expect(mtaSts.matchMx(policy, 'MAIL.example.com.')).to.be.true
+      expect(mtaSts.matchMx(policy, 'mx.example.com')).to.be.false
+      expect(mtaSts.matchMx(policy, 'mx1.example.net')).to.be.true
+      expect(mtaSts.matchMx(policy, 'example.net')).to.be.false
+      expect(mtaSts.matchMx(policy, 'a.mx1.example.net')).to.be.false
+    })
+
+    it('should cache policies for max_age', function () {
+      var cache = new mtaSts.PolicyCache()
+
+      cache.set('example.com', mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.com\nmax_age: 86400\n'))
+      cache.set('example.net', mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.net\nmax_age: 0\n'))
+
+      expect(cache.get('example.com').mode).to.equal('enforce')
+      expect(cache.get('example.net')).to.be.false
+    })
+
+    it('should fetch policy again if the id changes', function (done) {
+      var cache = new mtaSts.PolicyCache()
+      var id = '20260101'
+      var fetched = 0
+      var options = {
+        cache: cache,
+        fetch: function (domain, callback) {
+          fetched++
+          setImmediate(function () {
+            callback(null, 'version: STSv1\nmode: ' + (fetched > 1 ? 'testing' : 'enforce') + '\nmx: mail.example.com\nmax_age: 86400\n', id)
+          })
+        },
+        lookupId: function (domain, callback) {
+          setImmediate(function () {
+            callback(null, id)
+          })
+        }
+      }
+
+      mtaSts.getPolicy('example.com', options, function (err, policy) {
+        expect(err).to.not.exist
+        expect(policy.mode).to.equal('enforce')
+        expect(cache.getId('example.com')).to.equal('20260101')
+
+        mtaSts.getPolicy('example.com', options, function (err, policy) {
+          expect(err).to.not.exist
+          expect(policy.mode).to.equal('enforce')
+          expect(fetched).to.equal(1)
+
+          id = '20260102'
+          mtaSts.getPolicy('example.com', options, function (err, policy) {
+            expect(err).to.not.exist
+            expect(policy.mode).to.equal('testing')
+            expect(fetched).to.equal(2)
+            expect(cache.getId('example.com')).to.equal('20260102')
+            done()
+          })
+        })
+      })
+    })
+
+    it('should keep cached policy if the policy with a new id can not be fetched', function (done) {
+      var cache = new mtaSts.PolicyCache()
+      cache.set('example.com', mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.com\nmax_age: 86400\n'), 'abc')
+
+      var options = {
+        cache: cache,
+        fetch: function (domain, callback) {
+          setImmediate(function () {
+            callback(new Error('HTTPS blocked'))
+          })
+        },
+        lookupId: function (domain, callback) {
+          setImmediate(function () {
+            callback(null, 'def')
+          })
+        }
+      }
+
+      mtaSts.getPolicy('example.com', options, function (err, policy) {
+        expect(err).to.not.exist
+        expect(policy.mode).to.equal('enforce')
+        expect(cache.getId('example.com')).to.equal('abc')
+
+        options.fetch = function (domain, callback) {
+          callback(null, 'version: STSv1\nmode: invalid\n', 'def')
+        }
+        mtaSts.getPolicy('example.com', options, function (err, policy) {
+          expect(err).to.not.exist
+          expect(policy.mode).to.equal('enforce')
+          expect(cache.getId('example.com')).to.equal('abc')
+          done()
+        })
+      })
+    })
+
+    it('should keep cached policy if the id can not be looked up', function (done) {
+      var cache = new mtaSts.PolicyCache()
+      cache.set('example.com', mtaSts.parsePolicy('version: STSv1\nmode: enforce\nmx: mail.example.com\nmax_age: 86400\n'), 'abc')
+
+      mtaSts.getPolicy('example.com', {
+        cache: cache,
+        fetch: function () {
+          throw new Error('Should not fetch')
+        },
+        lookupId: function (domain, callback) {
+          callback(new Error('queryTxt ESERVFAIL _mta-sts.example.com'))
+        }
+      }, function (err, policy) {
+        expect(err).to.not.exist
+        expect(policy.mode).to.equal('enforce')
+        done()
+      })
+    })
+  })
+
+  describe('Connection', function () {
+    var server, client, cache, fetched, lookupId
+
+    beforeEach(function (done) {
+      cache = new mtaSts.PolicyCache()
+      fetched = []
+      lookupId = false
+
+      server = mockServer({
+        port: PORT_NUMBER,
+        extensions: ['STARTTLS'],
+        tls: localhostCert
+      })
+      server.start(done)
+    })
+
+    afterEach(function (done) {
+      if (client) {
+        client.close()
+      }
+      server.stop(done)
+    })
+
+    function connect (policy, options, callback) {
+      options.port = PORT_NUMBER
+      options.logger = false
+      options.mx = 'example.com'
+      options.resolveMx = resolveMx
+      options.mtaSts = {
+        cache: cache,
+        fetch: function (domain, callback) {
+          fetched.push(domain)
+          setImmediate(function () {
+            if (policy instanceof Error) {
+              return callback(policy)
+            }
+            callback(null, policy)
+          })
+        },
+        lookupId: lookupId
+      }
+      client = new SMTPConnection(options)
+      client.once('error', callback)
+      client.connect(function () {
+        client.removeListener('error', callback)
+        callback()
+      })
+    }
+
+    var enforcePolicy = 'version: STSv1\nmode: enforce\nmx: localhost\nmax_age: 86400\n'
+    var testingPolicy = 'version: STSv1\nmode: testing\nmx: localhost\nmax_age: 86400\n'
+
+    it('should connect to MX host that matches the policy', function (done) {
+      connect(enforcePolicy, {
+        tls: {
+          ca: localhostCert.cert
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(client.endpoint.host).to.equal('localhost')
+        expect(client.mtaStsPolicy.mode).to.equal('enforce')
+        done()
+      })
+    })
+
+    it('should use cached policy', function (done) {
+      connect(enforcePolicy, {
+        tls: {
+          ca: localhostCert.cert
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        client.close()
+        connect(enforcePolicy, {
+          tls: {
+            ca: localhostCert.cert
+          }
+        }, function (err) {
+          expect(err).to.not.exist
+          expect(fetched).to.deep.equal(['example.com'])
+          done()
+        })
+      })
+    })
+
+    it('should use cached policy if the policy with a new id can not be fetched', function (done) {
+      cache.set('example.com', mtaSts.parsePolicy(enforcePolicy), 'abc')
+      lookupId = function (domain, callback) {
+        setImmediate(function () {
+          callback(null, 'def')
+        })
+      }
+
+      connect(new Error('HTTPS blocked'), {}, function (err) {
+        expect(err.code).to.equal('EMTASTS')
+        expect(err.message).to.match(/^Certificate of localhost does not satisfy MTA-STS policy/)
+        expect(fetched).to.deep.equal(['example.com'])
+        expect(client.mtaStsPolicy.mode).to.equal('enforce')
+        done()
+      })
+    })
+
+    it('should fail if no MX host matches the policy', function (done) {
+      connect({
+        version: 'STSv1',
+        mode: 'enforce',
+        mx: '*.example.com',
+        max_age: 86400
+      }, {}, function (err) {
+        expect(err.code).to.equal('EMTASTS')
+        expect(err.message).to.equal('No MX host of example.com matches the MTA-STS policy')
+        expect(SMTPConnection.shouldRetry(err)).to.be.true
+        done()
+      })
+    })
+
+    it('should try the next MX host if the certificate is not valid', function (done) {
+      // the first connection gets a certificate from an unknown CA
+      var certs = [localhostCert.chain, localhostCert]
+      Object.defineProperty(server.options, 'tls', {
+        get: function () {
+          return certs.length > 1 ? certs.shift() : certs[0]
+        }
+      })
+
+      connect({
+        version: 'STSv1',
+        mode: 'enforce',
+        mx: ['127.0.0.1', 'localhost'],
+        max_age: 86400
+      }, {
+        tls: {
+          ca: localhostCert.cert
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(client.endpoint.host).to.equal('localhost')
+        expect(server.connections.length).to.equal(2)
+        done()
+      })
+    })
+
+    it('should fail if certificate is not trusted', function (done) {
+      connect(enforcePolicy, {}, function (err) {
+        expect(err.code).to.equal('EMTASTS')
+        expect(err.command).to.equal('STARTTLS')
+        expect(err.message).to.match(/^Certificate of localhost does not satisfy MTA-STS policy/)
+        done()
+      })
+    })
+
+    it('should continue with untrusted certificate in testing mode', function (done) {
+      connect(testingPolicy, {
+        tls: {
+          rejectUnauthorized: false
+        }
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.true
+        expect(client.endpoint.host).to.equal('127.0.0.1')
+        done()
+      })
+    })
+
+    it('should keep default certificate verification in testing mode', function (done) {
+      // other test files turn off the default verification for the process
+      var rejectUnauthorized = process.env.NODE_TLS_REJECT_UNAUTHORIZED
+      delete process.env.NODE_TLS_REJECT_UNAUTHORIZED
+
+      connect(testingPolicy, {}, function (err) {
+        if (typeof rejectUnauthorized !== 'undefined') {
+          process.env.NODE_TLS_REJECT_UNAUTHORIZED = rejectUnauthorized
+        }
+        expect(err.message).to.match(/self[- ]signed/)
+        expect(client.mtaStsPolicy.mode).to.equal('testing')
+        expect(client.secure).to.be.false
+        done()
+      })
+    })
+
+    it('should fail if STARTTLS is not supported', function (done) {
+      server.options.extensions = []
+      connect(enforcePolicy, {
+        ignoreTLS: true
+      }, function (err) {
+        expect(err.code).to.equal('EMTASTS')
+        expect(err.message).to.match(/^Server does not support STARTTLS required by MTA-STS policy/)
+        done()
+      })
+    })
+
+    it('should connect without policy if fetching fails', function (done) {
+      connect(new Error('Policy not found'), {
+        ignoreTLS: true
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.secure).to.be.false
+        expect(client.mtaStsPolicy).to.be.false
+        done()
+      })
+    })
+  })
+})
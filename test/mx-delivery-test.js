@@ -0,0 +1,268 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals afterEach, beforeEach, describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var PassThrough = require('stream').PassThrough
+var SMTPConnection = require('../lib/smtp-connection-mit')
+var mockServer = require('./smtp-mock-server')
+
+chai.config.includeStack = true
+
+var PORT_NUMBER = 8797
+
+// MX records for the test domains, every exchange is a name of the local host
+var MX_RECORDS = {
+  'example.com': [{
+    exchange: 'localhost',
+    priority: 20
+  }, {
+    exchange: '127.0.0.1',
+    priority: 10
+  }],
+  'example.net': [{
+    exchange: 'localhost.',
+    priority: 5
+  }],
+  'example.org': [{
+    exchange: '',
+    priority: 0
+  }]
+}
+
+function resolveMx (domain, callback) {
+  setImmediate(function () {
+    var err
+    if (domain === 'localhost') {
+      err = new Error('queryMx ENODATA ' + domain)
+      err.code = 'ENODATA'
+      return callback(err)
+    }
+    if (!MX_RECORDS[domain]) {
+      err = new Error('queryMx ENOTFOUND ' + domain)
+      err.code = 'ENOTFOUND'
+      return callback(err)
+    }
+    callback(null, MX_RECORDS[domain])
+  })
+}
+
+describe('MX delivery tests', function () {
+  this.timeout(10 * 1000)
+
+  var server, greetings, deliveries
+
+  beforeEach(function (done) {
+    greetings = []
+    deliveries = []
+
+    server = mockServer({
+      port: PORT_NUMBER,
+      greeting: function () {
+        return greetings.shift()
+      },
+      onMessage: function (connection, session) {
+        deliveries.push(session.recipients.map(function (recipient) {
+          return recipient.replace(/^TO:<|>.*$/g, '')
+        }))
+        connection.send(250, '2.0.0 Message queued')
+      }
+    })
+
+    server.start(done)
+  })
+
+  afterEach(function (done) {
+    server.stop(done)
+  })
+
+  describe('Connection', function () {
+    var client
+
+    afterEach(function () {
+      client.close()
+    })
+
+    function connect (options, callback) {
+      options.port = PORT_NUMBER
+      options.logger = false
+      options.resolveMx = resolveMx
+      client = new SMTPConnection(options)
+      client.once('error', callback)
+      client.connect(function () {
+        client.removeListener('error', callback)
+        callback()
+      })
+    }
+
+    it('should connect to MX hosts in the order of preference', function (done) {
+      greetings.push([421, 'Try again later'])
+
+      connect({
+        mx: 'Example.com'
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.endpoint).to.deep.equal({
+          host: 'localhost',
+          port: PORT_NUMBER,
+          mx: {
+            domain: 'example.com',
+            exchange: 'localhost',
+            priority: 20
+          }
+        })
+        done()
+      })
+    })
+
+    it('should use the domain as implicit MX', function (done) {
+      connect({
+        mx: 'localhost'
+      }, function (err) {
+        expect(err).to.not.exist
+        expect(client.endpoint.host).to.equal('localhost')
+        expect(client.endpoint.mx).to.deep.equal({
+          domain: 'localhost',
+          exchange: 'localhost',
+          priority: 0,
+          implicit: true
+        })
+        done()
+      })
+    })
+
+    it('should return error for null MX', function (done) {
+      connect({
+        mx: 'example.org'
+      }, function (err) {
+        expect(err.code).to.equal('EENVELOPE')
+        expect(err.message).to.equal('Domain example.org does not accept mail')
+        expect(SMTPConnection.shouldRetry(err)).to.be.false
+        done()
+      })
+    })
+
+    it('should return error for failed MX lookup', function (done) {
+      connect({
+        mx: 'example.invalid'
+      }, function (err) {
+        expect(err.code).to.equal('ECONNECTION')
+        expect(err.message).to.match(/^MX lookup for example.invalid failed/)
+        done()
+      })
+    })
+
+    it('should include MX host in send info', function (done) {
+      connect({
+        mx: 'example.net'
+      }, function (err) {
+        expect(err).to.not.exist
+        client.send({
+          from: 'sender@example.com',
+          to: 'recipient@example.net'
+        }, 'Subject: test\r\n\r\nHello', function (err, info) {
+          expect(err).to.not.exist
+          expect(info.mx).to.deep.equal({
+            domain: 'example.net',
+            exchange: 'localhost',
+            priority: 5
+          })
+          done()
+        })
+      })
+    })
+  })
+
+  describe('deliver', function () {
+    function deliver (envelope, message, callback) {
+      SMTPConnection.deliver(envelope, message, {
+        port: PORT_NUMBER,
+        logger: false,
+        resolveMx: resolveMx
+      }, callback)
+    }
+
+    it('should group recipients by domain', function (done) {
+      deliver({
+        from: 'sender@example.com',
+        to: ['a@example.com', {
+          name: 'B',
+          address: 'b@example.net'
+        }, 'c@EXAMPLE.com']
+      }, 'Subject: test\r\n\r\nHello', function (err, info) {
+        expect(err).to.not.exist
+        expect(deliveries).to.deep.equal([
+          ['a@example.com', 'c@EXAMPLE.com'],
+          ['b@example.net']
+        ])
+        expect(info.accepted).to.deep.equal(['a@example.com', 'c@EXAMPLE.com', 'b@example.net'])
+        expect(info.rejected).to.deep.equal([])
+        expect(info.mx.map(function (result) {
+          return [result.domain, result.exchange, result.priority, result.response]
+        })).to.deep.equal([
+          ['example.com', '127.0.0.1', 10, '250 2.0.0 Message queued'],
+          ['example.net', 'localhost', 5, '250 2.0.0 Message queued']
+        ])
+        done()
+      })
+    })
+
+    it('should return results for failed domains', function (done) {
+      deliver({
+        from: 'sender@example.com',
+        to: ['a@example.org', 'b@example.net', 'invalid']
+      }, 'Subject: test\r\n\r\nHello', function (err, info) {
+        expect(err).to.not.exist
+        expect(info.accepted).to.deep.equal(['b@example.net'])
+        expect(info.rejected).to.deep.equal(['invalid', 'a@example.org'])
+        expect(info.rejectedErrors.map(function (err) {
+          return err.code
+        })).to.deep.equal(['EENVELOPE', 'EENVELOPE'])
+        expect(info.mx[0].domain).to.equal('example.org')
+        expect(info.mx[0].error.code).to.equal('EENVELOPE')
+        expect(info.mx[0].error.domain).to.equal('example.org')
+        expect(info.mx[1].accepted).to.deep.equal(['b@example.net'])
+        done()
+      })
+    })
+
+    it('should return error if no recipient was accepted', function (done) {
+      greetings.push([421, 'Try again later'], [421, 'Try again later'])
+
+      deliver({
+        from: 'sender@example.com',
+        to: ['a@example.com']
+      }, 'Subject: test\r\n\r\nHello', function (err) {
+        expect(err.code).to.equal('ECONNECTION')
+        expect(err.rejected).to.deep.equal(['a@example.com'])
+        expect(err.mx[0].exchange).to.equal('localhost')
+        expect(err.mx[0].error.responseCode).to.equal(421)
+        expect(SMTPConnection.shouldRetry(err)).to.be.true
+        done()
+      })
+    })
+
+    it('should send a stream to every domain', function (done) {
+      var message = new PassThrough()
+
+      SMTPConnection.deliver({
+        from: 'sender@example.com',
+        to: ['a@example.com', 'b@example.net']
+      }, message, {
+        port: PORT_NUMBER,
+        logger: false,
+        resolveMx: resolveMx
+      }).then(function (info) {
+        expect(info.accepted).to.deep.equal(['a@example.com', 'b@example.net'])
+        expect(server.messages.map(function (message) {
+          return message.toString()
+        })).to.deep.equal(['Subject: test\r\n\r\nHello\r\n', 'Subject: test\r\n\r\nHello\r\n'])
+        done()
+      }).catch(done)
+
+      message.end('Subject: test\r\n\r\nHello')
+    })
+  })
+})
@@ -0,0 +1,160 @@
+'use strict'
+
+var crypto = require('crypto')
+var mockServer = require('./smtp-mock-server')
+var md4 = require('../lib/ntlm').md4
+
+module.exports = function (options) {
+  return new NTLMServer(options)
+}
+
+/**
+ * SMTP server that accepts AUTH NTLM and verifies NTLMv2 and LMv2 responses.
+ * The last received Type 3 message is stored in `lastAuth`. If
+ * `options.timestamp` is set then the server timestamp is added to the target
+ * info and LMv2 response is not checked
+ */
+function NTLMServer (options) {
+  this.options = options || {}
+  this.users = {}
+  this.lastAuth = false
+
+  this.options.port = Number(this.options.port) || 2525
+  this.options.domain = this.options.domain || 'DOMAIN'
+  this.options.computer = this.options.computer || 'SERVER'
+}
+
+NTLMServer.prototype.addUser = function (username, password) {
+  this.users[username.toUpperCase()] = password
+}
+
+NTLMServer.prototype.start = function (callback) {
+  this.server = mockServer({
+    port: this.options.port,
+    extensions: ['AUTH NTLM'],
+    commands: {
+      AUTH: this.onAuth.bind(this)
+    }
+  })
+  this.server.start(callback)
+}
+
+NTLMServer.prototype.stop = function (callback) {
+  this.server.stop(callback)
+}
+
+NTLMServer.prototype.onAuth = function (connection, args) {
+  var parts = args.split(' ')
+
+  if (parts[0].toUpperCase() !== 'NTLM') {
+    return connection.send(504, '5.5.4 Unrecognized authentication type')
+  }
+
+  if (parts[1]) {
+    return this.onNegotiate(connection, parts[1])
+  }
+
+  connection.send(334, '')
+  connection.next(function (line) {
+    this.onNegotiate(connection, line)
+  }.bind(this))
+}
+
+NTLMServer.prototype.onNegotiate = function (connection, line) {
+  var message = new Buffer(line, 'base64')
+  if (message.toString('binary', 0, 8) !== 'NTLMSSP\u0000' || message.readUInt32LE(8) !== 1) {
+    return connection.send(501, '5.5.2 Invalid NTLM negotiate message')
+  }
+
+  var challenge = crypto.randomBytes(8)
+  var targetName = new Buffer(this.options.domain, 'utf16le')
+  var targetInfo = this.getTargetInfo()
+
+  var header = new Buffer(48)
+  header.fill(0)
+  header.write('NTLMSSP\u0000', 0, 'binary')
+  header.writeUInt32LE(2, 8)
+  header.writeUInt16LE(targetName.length, 12)
+  header.writeUInt16LE(targetName.length, 14)
+  header.writeUInt32LE(48, 16)
+  // UNICODE, REQUEST_TARGET, NTLM, TARGET_TYPE_DOMAIN, EXTENDED_SESSIONSECURITY, TARGET_INFO
+  header.writeUInt32LE(0x00890205, 20)
+  challenge.copy(header, 24)
+  header.writeUInt16LE(targetInfo.length, 40)
+  header.writeUInt16LE(targetInfo.length, 42)
+  header.writeUInt32LE(48 + targetName.length, 44)
+
+  connection.send(334, Buffer.concat([header, targetName, targetInfo]).toString('base64'))
+  connection.next(function (line) {
+    this.onAuthenticate(connection, line, challenge, targetInfo)
+  }.bind(this))
+}
+
+NTLMServer.prototype.onAuthenticate = function (connection, line, challenge, targetInfo) {
+  if (line === '*') {
+    return connection.send(501, '5.7.0 Authentication cancelled')
+  }
+
+  var message = new Buffer(line, 'base64')
+  var field = function (pos) {
+    var length = message.readUInt16LE(pos)
+    var offset = message.readUInt32LE(pos + 4)
+    return message.slice(offset, offset + length)
+  }
+
+  var auth = this.lastAuth = {
+    lmResponse: field(12),
+    ntResponse: field(20),
+    domain: field(28).toString('utf16le'),
+    user: field(36).toString('utf16le'),
+    workstation: field(44).toString('utf16le')
+  }
+
+  var password = this.users[auth.user.toUpperCase()]
+  if (typeof password !== 'string' || auth.ntResponse.length <= 24) {
+    return connection.send(535, '5.7.8 Authentication credentials invalid')
+  }
+
+  var ntHash = md4(new Buffer(password, 'utf16le'))
+  var hash = hmacMd5(ntHash, new Buffer(auth.user.toUpperCase() + auth.domain, 'utf16le'))
+
+  var blob = auth.ntResponse.slice(16)
+  var validNt = hmacMd5(hash, Buffer.concat([challenge, blob])).equals(auth.ntResponse.slice(0, 16)) &&
+    blob.slice(28, 28 + targetInfo.length).equals(targetInfo)
+
+  var validLm = !!this.options.timestamp ||
+    hmacMd5(hash, Buffer.concat([challenge, auth.lmResponse.slice(16)])).equals(auth.lmResponse.slice(0, 16))
+
+  if (!validNt || !validLm) {
+    return connection.send(535, '5.7.8 Authentication credentials invalid')
+  }
+
+  connection.send(235, '2.7.0 Authentication successful')
+}
+
+/**
+ * Generates the target info AV_PAIR list for the challenge message
+ */
+NTLMServer.prototype.getTargetInfo = function () {
+  var pairs = [
+    [2, new Buffer(this.options.domain, 'utf16le')],
+    [1, new Buffer(this.options.computer, 'utf16le')]
+  ]
+
+  if (this.options.timestamp) {
+    pairs.push([7, this.options.timestamp])
+  }
+
+  pairs.push([0, new Buffer(0)])
+
+  return Buffer.concat(pairs.map(function (pair) {
+    var header = new Buffer(4)
+    header.writeUInt16LE(pair[0], 0)
+    header.writeUInt16LE(pair[1].length, 2)
+    return Buffer.concat([header, pair[1]])
+  }))
+}
+
+function hmacMd5 (key, data) {
+  return crypto.createHmac('md5', key).update(data).digest()
+}
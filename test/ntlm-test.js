@@ -0,0 +1,108 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var ntlm = require('../lib/ntlm')
+
+chai.config.includeStack = true
+
+describe('NTLM tests', function () {
+  // test values from MS-NLMP section 4.2.4
+  var targetInfo = new Buffer('02000c0044006f006d00610069006e0001000c0053006500720076006500720000000000', 'hex')
+  var type2 = {
+    flags: 0xe28a8233,
+    challenge: new Buffer('0123456789abcdef', 'hex'),
+    targetName: 'Domain',
+    targetInfo: targetInfo
+  }
+
+  function readField (message, pos) {
+    var length = message.readUInt16LE(pos)
+    var offset = message.readUInt32LE(pos + 4)
+    return message.slice(offset, offset + length)
+  }
+
+  it('should calculate MD4 digest', function () {
+    // test vectors from RFC 1320
+    expect(ntlm.md4(new Buffer('')).toString('hex')).to.equal('31d6cfe0d16ae931b73c59d7e0c089c0')
+    expect(ntlm.md4(new Buffer('abc')).toString('hex')).to.equal('a448017aaf21d8525fc10ae87aa6729d')
+    expect(ntlm.md4(new Buffer('message digest')).toString('hex')).to.equal('d9130a8164549fe818874806e1c7014b')
+    expect(ntlm.md4(new Buffer('12345678901234567890123456789012345678901234567890123456789012345678901234567890')).toString('hex')).to.equal('e33b4ddc9c38f2199c3e7b164fcc0536')
+  })
+
+  it('should create Type 1 message', function () {
+    var message = ntlm.createType1Message({
+      domain: 'domain',
+      workstation: 'ws'
+    })
+
+    expect(message.slice(0, 8).toString('binary')).to.equal('NTLMSSP\u0000')
+    expect(message.readUInt32LE(8)).to.equal(1)
+    expect(message.readUInt32LE(12) & ntlm.FLAGS.UNICODE).to.be.ok
+    expect(readField(message, 16).toString()).to.equal('DOMAIN')
+    expect(readField(message, 24).toString()).to.equal('WS')
+  })
+
+  it('should parse Type 2 message', function () {
+    var targetName = new Buffer('Domain', 'utf16le')
+    var header = new Buffer(48)
+    header.fill(0)
+    header.write('NTLMSSP\u0000', 0, 'binary')
+    header.writeUInt32LE(2, 8)
+    header.writeUInt16LE(targetName.length, 12)
+    header.writeUInt32LE(48, 16)
+    header.writeUInt32LE(type2.flags, 20)
+    type2.challenge.copy(header, 24)
+    header.writeUInt16LE(targetInfo.length, 40)
+    header.writeUInt32LE(48 + targetName.length, 44)
+
+    expect(ntlm.parseType2Message(Buffer.concat([header, targetName, targetInfo]))).to.deep.equal(type2)
+  })
+
+  it('should reject invalid Type 2 message', function () {
+    expect(function () {
+      ntlm.parseType2Message(new Buffer('invalid'))
+    }).to.throw(/Invalid NTLM challenge/)
+  })
+
+  it('should create NTLMv2 and LMv2 responses', function () {
+    var message = ntlm.createType3Message(type2, {
+      user: 'User',
+      pass: 'Password',
+      domain: 'Domain',
+      workstation: 'COMPUTER',
+      clientChallenge: new Buffer('aaaaaaaaaaaaaaaa', 'hex'),
+      timestamp: new Buffer('0000000000000000', 'hex')
+    })
+
+    expect(message.readUInt32LE(8)).to.equal(3)
+    expect(readField(message, 12).toString('hex')).to.equal('86c35097ac9cec102554764a57cccc19aaaaaaaaaaaaaaaa')
+    expect(readField(message, 20).slice(0, 16).toString('hex')).to.equal('68cd0ab851e51c96aabc927bebef6a1c')
+    expect(readField(message, 20).slice(44, 44 + targetInfo.length)).to.deep.equal(targetInfo)
+    expect(readField(message, 28).toString('utf16le')).to.equal('Domain')
+    expect(readField(message, 36).toString('utf16le')).to.equal('User')
+    expect(readField(message, 44).toString('utf16le')).to.equal('COMPUTER')
+    expect(message.readUInt32LE(60) & ntlm.FLAGS.KEY_EXCH).to.equal(0)
+  })
+
+  it('should use server timestamp and skip LMv2 response', function () {
+    var timestamp = new Buffer('0102030405060708', 'hex')
+    var header = new Buffer([7, 0, 8, 0])
+    var message = ntlm.createType3Message({
+      flags: type2.flags,
+      challenge: type2.challenge,
+      targetName: 'Domain',
+      targetInfo: Buffer.concat([header, timestamp, new Buffer([0, 0, 0, 0])])
+    }, {
+      user: 'User',
+      pass: 'Password'
+    })
+
+    expect(readField(message, 12).toString('hex')).to.equal('000000000000000000000000000000000000000000000000')
+    expect(readField(message, 20).slice(24, 32)).to.deep.equal(timestamp)
+    expect(readField(message, 28).toString('utf16le')).to.equal('Domain')
+  })
+})
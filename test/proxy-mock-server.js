@@ -0,0 +1,161 @@
+'use strict'
+
+var net = require('net')
+
+module.exports = function (options) {
+  return new ProxyMockServer(options)
+}
+
+/**
+ * Proxy server that accepts both HTTP CONNECT and SOCKS5 connections on the
+ * same port. Received CONNECT requests are stored in `requests` as
+ * {protocol, host, port, user, pass}. If `options.user` is set, then the
+ * client has to authenticate with `options.user` and `options.pass`
+ */
+function ProxyMockServer (options) {
+  this.options = options || {}
+  this.requests = []
+  this.sockets = []
+
+  this.options.port = Number(this.options.port) || 1080
+}
+
+ProxyMockServer.prototype.start = function (callback) {
+  this.server = net.createServer(function (socket) {
+    this.sockets.push(socket)
+    socket.on('error', function () {})
+    socket.once('data', function (chunk) {
+      if (chunk[0] === 5) {
+        return this.onSocks5(socket, chunk)
+      }
+      this.onHttp(socket, chunk)
+    }.bind(this))
+  }.bind(this))
+
+  this.server.listen(this.options.port, callback)
+}
+
+ProxyMockServer.prototype.stop = function (callback) {
+  this.sockets.forEach(function (socket) {
+    socket.destroy()
+  })
+  this.server.close(callback)
+}
+
+ProxyMockServer.prototype.isAllowed = function (user, pass) {
+  return !this.options.user || (user === this.options.user && pass === this.options.pass)
+}
+
+ProxyMockServer.prototype.tunnel = function (socket, host, port, callback) {
+  var out = net.connect(port, host, function () {
+    callback(null)
+    socket.pipe(out)
+    out.pipe(socket)
+  })
+  this.sockets.push(out)
+  out.on('error', function (err) {
+    callback(err)
+    socket.destroy()
+  })
+}
+
+ProxyMockServer.prototype.onHttp = function (socket, chunk) {
+  var headers = chunk.toString('binary')
+  var lines = headers.split('\r\n')
+  var match = lines.shift().match(/^CONNECT\s+(\S+):(\d+)\s+HTTP\/[\d.]+$/i)
+
+  if (!match) {
+    socket.end('HTTP/1.1 405 Method Not Allowed\r\n\r\n')
+    return
+  }
+
+  var request = {
+    protocol: 'http',
+    host: match[1].replace(/^\[|\]$/g, ''),
+    port: Number(match[2]),
+    user: false,
+    pass: false
+  }
+
+  lines.forEach(function (line) {
+    var auth = line.match(/^Proxy-Authorization:\s*Basic\s+(\S+)/i)
+    if (auth) {
+      var credentials = new Buffer(auth[1], 'base64').toString().split(':')
+      request.user = credentials.shift()
+      request.pass = credentials.join(':')
+    }
+  })
+
+  this.requests.push(request)
+
+  if (!this.isAllowed(request.user, request.pass)) {
+    socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n')
+    return
+  }
+
+  this.tunnel(socket, request.host, request.port, function (err) {
+    if (err) {
+      return socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n')
+    }
+    socket.write('HTTP/1.1 200 Connection established\r\n\r\n')
+  })
+}
+
+ProxyMockServer.prototype.onSocks5 = function (socket, chunk) {
+  var request = {
+    protocol: 'socks5',
+    user: false,
+    pass: false
+  }
+
+  var methods = Array.prototype.slice.call(chunk.slice(2, 2 + chunk[1]))
+  var method = this.options.user ? 2 : 0
+
+  if (methods.indexOf(method) < 0) {
+    socket.end(new Buffer([5, 0xff]))
+    return
+  }
+
+  var onRequest = function (chunk) {
+    var pos = 4
+    if (chunk[3] === 1) {
+      request.host = Array.prototype.slice.call(chunk.slice(4, 8)).join('.')
+      pos = 8
+    } else if (chunk[3] === 3) {
+      request.host = chunk.slice(5, 5 + chunk[4]).toString()
+      pos = 5 + chunk[4]
+    } else {
+      socket.end(new Buffer([5, 8, 0, 1, 0, 0, 0, 0, 0, 0]))
+      return
+    }
+    request.port = chunk.readUInt16BE(pos)
+    this.requests.push(request)
+
+    if (this.options.refuse) {
+      socket.end(new Buffer([5, 5, 0, 1, 0, 0, 0, 0, 0, 0]))
+      return
+    }
+
+    this.tunnel(socket, request.host, request.port, function (err) {
+      socket.write(new Buffer([5, err ? 4 : 0, 0, 1, 127, 0, 0, 1, 0, 0]))
+    })
+  }.bind(this)
+
+  var onAuth = function (chunk) {
+    var userLength = chunk[1]
+    request.user = chunk.slice(2, 2 + userLength).toString()
+    request.pass = chunk.slice(3 + userLength, 3 + userLength + chunk[2 + userLength]).toString()
+
+    if (!this.isAllowed(request.user, request.pass)) {
+      this.requests.push(request)
+      socket.end(new Buffer([1, 1]))
+      return
+    }
+
+    socket.write(new Buffer([1, 0]))
+    socket.once('data', onRequest)
+  }.bind(this)
+
+  socket.write(new Buffer([5, method]))
+  socket.once('data', method === 2 ? onAuth : onRequest)
+}
@@ -0,0 +1,127 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var SCRAM = require('../lib/scram')
+
+chai.config.includeStack = true
+
+describe('SCRAM tests', function () {
+  it('should generate SCRAM-SHA-1 messages', function () {
+    // test vector from RFC 5802 section 5
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-1',
+      user: 'user',
+      pass: 'pencil',
+      nonce: 'fyko+d2lbbFgONRv9qkxdawL'
+    })
+
+    expect(scram.getClientFirstMessage()).to.equal('n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL')
+    expect(scram.getClientFinalMessage('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096')).to.equal('c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,p=v0X8v3Bz2T0CJGbJQyF0X+HI4Ts=')
+    expect(scram.verifyServerFinalMessage('v=rmF9pqV8S7suAoZWja4dJRkFsKQ=')).to.be.true
+  })
+
+  it('should generate SCRAM-SHA-256 messages', function () {
+    // test vector from RFC 7677 section 3
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-256',
+      user: 'user',
+      pass: 'pencil',
+      nonce: 'rOprNGfwEbeRWgbNEkqO'
+    })
+
+    expect(scram.getClientFirstMessage()).to.equal('n,,n=user,r=rOprNGfwEbeRWgbNEkqO')
+    expect(scram.getClientFinalMessage('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096')).to.equal('c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=')
+    expect(scram.verifyServerFinalMessage('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4=')).to.be.true
+  })
+
+  it('should reject invalid server signature', function () {
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-1',
+      user: 'user',
+      pass: 'pencil',
+      nonce: 'fyko+d2lbbFgONRv9qkxdawL'
+    })
+
+    scram.getClientFinalMessage('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096')
+    expect(scram.verifyServerFinalMessage('v=AAAAqV8S7suAoZWja4dJRkFsKQ=')).to.be.false
+    expect(scram.verifyServerFinalMessage('e=other-error')).to.be.false
+  })
+
+  it('should reject server nonce that does not extend client nonce', function () {
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-256',
+      user: 'user',
+      pass: 'pencil',
+      nonce: 'abc'
+    })
+
+    expect(function () {
+      scram.getClientFinalMessage('r=xyz123,s=QSXCR+Q6sek8bf92,i=4096')
+    }).to.throw(/Invalid server nonce/)
+  })
+
+  it('should reject too large iteration count', function () {
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-256',
+      user: 'user',
+      pass: 'pencil',
+      nonce: 'abc'
+    })
+
+    expect(function () {
+      scram.getClientFinalMessage('r=abcdef,s=QSXCR+Q6sek8bf92,i=2000000000')
+    }).to.throw(/Iteration count 2000000000 from the server is larger than 100000/)
+    expect(function () {
+      scram.getClientFinalMessage('r=abcdef,s=QSXCR+Q6sek8bf92,i=4096x')
+    }).to.throw(/Invalid server challenge/)
+    expect(scram.getClientFinalMessage('r=abcdef,s=QSXCR+Q6sek8bf92,i=' + SCRAM.MAX_ITERATIONS)).to.match(/^c=biws,r=abcdef,p=/)
+  })
+
+  it('should escape username and add channel binding data', function () {
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-256-PLUS',
+      user: 'a=b,c',
+      pass: 'pencil',
+      nonce: 'abc',
+      channelBinding: {
+        type: 'tls-unique',
+        data: new Buffer('binding')
+      }
+    })
+
+    expect(scram.getClientFirstMessage()).to.equal('p=tls-unique,,n=a=3Db=2Cc,r=abc')
+    var clientFinal = scram.getClientFinalMessage('r=abcdef,s=QSXCR+Q6sek8bf92,i=1')
+    var binding = new Buffer(clientFinal.match(/^c=([^,]+)/)[1], 'base64').toString()
+    expect(binding).to.equal('p=tls-unique,,binding')
+  })
+
+  it('should add authorization identity', function () {
+    var scram = new SCRAM({
+      mechanism: 'SCRAM-SHA-256',
+      user: 'user',
+      pass: 'pencil',
+      authzid: 'shared,box',
+      nonce: 'abc'
+    })
+
+    expect(scram.getClientFirstMessage()).to.equal('n,a=shared=2Cbox,n=user,r=abc')
+    expect(scram.getClientFinalMessage('r=abcdef,s=QSXCR+Q6sek8bf92,i=1')).to.match(/^c=bixhPXNoYXJlZD0yQ2JveCw=,/)
+  })
+
+  it('should escape names', function () {
+    expect(SCRAM.escapeName('user')).to.equal('user')
+    expect(SCRAM.escapeName('=a,b=')).to.equal('=3Da=2Cb=3D')
+  })
+
+  it('should require channel binding data for PLUS mechanisms', function () {
+    expect(function () {
+      return new SCRAM({
+        mechanism: 'SCRAM-SHA-1-PLUS'
+      })
+    }).to.throw(/Channel binding/)
+  })
+})
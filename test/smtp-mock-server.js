@@ -0,0 +1,227 @@
+'use strict'
+
+var net = require('net')
+var tls = require('tls')
+var tlsOptions = require('smtp-server-mit/lib/tls-options')
+
+module.exports = function (options) {
+  return new SMTPMockServer(options)
+}
+
+/**
+ * Minimal scriptable SMTP server for features that smtp-server-mit does not
+ * support. Received commands are stored in `commands` and received messages
+ * in `messages`. Custom command handlers can be set with `options.commands`,
+ * eg. {AUTH: function (connection, args) {}}
+ *
+ * STARTTLS is supported if it is listed in `options.extensions`, TLS options
+ * for the upgraded socket can be set with `options.tls`. Greeting can be
+ * changed with `options.greeting`, eg. [421, 'Try again later'], or it can be
+ * a function that returns the greeting for a new connection. Responses for
+ * BDAT chunks that are not the last one can be set with `options.onChunk`
+ */
+function SMTPMockServer (options) {
+  this.options = options || {}
+  this.commands = []
+  this.messages = []
+  this.connections = []
+
+  this.options.port = Number(this.options.port) || 2525
+  this.options.extensions = this.options.extensions || []
+  this.options.commands = this.options.commands || {}
+}
+
+SMTPMockServer.prototype.start = function (callback) {
+  this.server = net.createServer(function (socket) {
+    this.connections.push(new MockConnection(this, socket))
+  }.bind(this))
+
+  this.server.listen(this.options.port, callback)
+}
+
+SMTPMockServer.prototype.stop = function (callback) {
+  this.connections.forEach(function (connection) {
+    connection.socket.destroy()
+  })
+  this.server.close(callback)
+}
+
+function MockConnection (server, socket) {
+  this.server = server
+  this.socket = socket
+  this.remainder = new Buffer(0)
+  this.bdat = false
+  this.data = false
+  this.chunks = []
+  this.lineHandler = false
+  this.secure = false
+  this.session = {}
+
+  this.setupSocket()
+
+  var greeting = this.server.options.greeting
+  if (typeof greeting === 'function') {
+    greeting = greeting(this)
+  }
+  this.send.apply(this, greeting || [220, 'mock.server ESMTP'])
+}
+
+MockConnection.prototype.setupSocket = function () {
+  this.socket.on('data', this.onData.bind(this))
+  this.socket.on('error', function () {})
+}
+
+/**
+ * Upgrades the connection to TLS after a STARTTLS command
+ */
+MockConnection.prototype.upgrade = function () {
+  var opts = tlsOptions(this.server.options.tls)
+  opts.isServer = true
+
+  this.socket.removeAllListeners('data')
+  this.remainder = new Buffer(0)
+  this.socket = new tls.TLSSocket(this.socket, opts)
+  this.secure = true
+  this.setupSocket()
+}
+
+/**
+ * Sends a response, multiple lines are sent as a multiline response
+ */
+MockConnection.prototype.send = function (code, lines) {
+  lines = [].concat(lines || '')
+  this.socket.write(lines.map(function (line, i) {
+    return code + (i < lines.length - 1 ? '-' : ' ') + line + '\r\n'
+  }).join(''))
+}
+
+/**
+ * Sets a handler for the next line from the client, used for AUTH exchanges
+ */
+MockConnection.prototype.next = function (handler) {
+  this.lineHandler = handler
+}
+
+MockConnection.prototype.onData = function (chunk) {
+  var buf = Buffer.concat([this.remainder, chunk])
+  var pos
+
+  while (buf.length) {
+    if (this.bdat) {
+      var size = Math.min(this.bdat.remaining, buf.length)
+      this.chunks.push(buf.slice(0, size))
+      this.bdat.remaining -= size
+      buf = buf.slice(size)
+      if (!this.bdat.remaining) {
+        this.endChunk()
+      }
+      continue
+    }
+
+    pos = buf.indexOf('\r\n')
+    if (pos < 0) {
+      break
+    }
+
+    var line = buf.slice(0, pos).toString('binary')
+    buf = buf.slice(pos + 2)
+
+    if (this.data) {
+      if (line === '.') {
+        this.data = false
+        this.endMessage()
+      } else {
+        this.chunks.push(new Buffer(line.replace(/^\./, '') + '\r\n', 'binary'))
+      }
+      continue
+    }
+
+    this.onLine(line)
+  }
+
+  this.remainder = buf
+}
+
+MockConnection.prototype.onLine = function (line) {
+  var handler = this.lineHandler
+  if (handler) {
+    this.lineHandler = false
+    return handler(line)
+  }
+
+  this.server.commands.push(line)
+
+  var parts = line.split(' ')
+  var command = parts.shift().toUpperCase()
+  var args = parts.join(' ')
+
+  if (typeof this.server.options.commands[command] === 'function') {
+    return this.server.options.commands[command](this, args)
+  }
+
+  switch (command) {
+    case 'EHLO':
+    case 'LHLO':
+      return this.send(250, ['mock.server'].concat(this.server.options.extensions.filter(function (extension) {
+        return !this.secure || extension !== 'STARTTLS'
+      }.bind(this))))
+    case 'HELO':
+      return this.send(250, 'mock.server')
+    case 'MAIL':
+      this.session.recipients = []
+      this.chunks = []
+      return this.send(250, 'Accepted')
+    case 'RCPT':
+      this.session.recipients.push(args)
+      return this.send(250, 'Accepted')
+    case 'DATA':
+      this.data = true
+      return this.send(354, 'End data with <CR><LF>.<CR><LF>')
+    case 'BDAT':
+      this.bdat = {
+        remaining: Number(parts[0]) || 0,
+        last: (parts[1] || '').toUpperCase() === 'LAST'
+      }
+      if (!this.bdat.remaining) {
+        this.endChunk()
+      }
+      return
+    case 'STARTTLS':
+      this.send(220, 'Ready to start TLS')
+      return this.upgrade()
+    case 'RSET':
+      this.chunks = []
+      return this.send(250, 'OK')
+    case 'NOOP':
+      return this.send(250, 'OK')
+    case 'QUIT':
+      this.send(221, 'Bye')
+      return this.socket.end()
+  }
+
+  this.send(500, 'Unknown command')
+}
+
+MockConnection.prototype.endChunk = function () {
+  var last = this.bdat.last
+  this.bdat = false
+
+  if (!last) {
+    if (typeof this.server.options.onChunk === 'function') {
+      return this.server.options.onChunk(this, this.session)
+    }
+    return this.send(250, 'Chunk accepted')
+  }
+  this.endMessage()
+}
+
+MockConnection.prototype.endMessage = function () {
+  this.server.messages.push(Buffer.concat(this.chunks))
+  this.chunks = []
+
+  if (typeof this.server.options.onMessage === 'function') {
+    return this.server.options.onMessage(this, this.session)
+  }
+
+  this.send(250, 'Message queued')
+}
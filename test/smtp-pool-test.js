@@ -0,0 +1,270 @@
+/* eslint no-unused-expressions:0, no-invalid-this:0, no-var: 0, prefer-arrow-callback: 0, object-shorthand: 0 */
+/* globals afterEach, beforeEach, describe, it */
+
+'use strict'
+
+var chai = require('chai')
+var expect = chai.expect
+var net = require('net')
+var SMTPPool = require('../lib/smtp-connection-mit').SMTPPool
+var SMTPServer = require('smtp-server-mit').SMTPServer
+
+chai.config.includeStack = true
+
+var PORT_NUMBER = 8597
+
+describe('Pool tests', function () {
+  this.timeout(10 * 1000)
+
+  var server, connections
+
+  beforeEach(function (done) {
+    connections = 0
+
+    server = new SMTPServer({
+      disabledCommands: ['STARTTLS'],
+      onConnect: function (session, callback) {
+        connections++
+        callback()
+      },
+      onAuth: function (auth, session, callback) {
+        if (auth.username !== 'testuser' || auth.password !== 'testpass') {
+          return callback(new Error('Invalid username or password'))
+        }
+        callback(null, {
+          user: 123
+        })
+      },
+      onMailFrom: function (address, session, callback) {
+        if (!/@valid.sender/.test(address.address)) {
+          return callback(new Error('Only user@valid.sender is allowed to send mail'))
+        }
+        return callback()
+      },
+      onData: function (stream, session, callback) {
+        stream.on('data', function () {})
+        stream.on('end', callback)
+      },
+      logger: false
+    })
+
+    server.listen(PORT_NUMBER, done)
+  })
+
+  afterEach(function (done) {
+    server.close(done)
+  })
+
+  function createPool (options) {
+    var opts = {
+      port: PORT_NUMBER,
+      logger: false,
+      auth: {
+        user: 'testuser',
+        pass: 'testpass'
+      }
+    }
+    Object.keys(options || {}).forEach(function (key) {
+      opts[key] = options[key]
+    })
+    return new SMTPPool(opts)
+  }
+
+  function sendMessages (pool, count, callback) {
+    var results = []
+    var finished = 0
+    for (var i = 0; i < count; i++) {
+      pool.send({
+        from: 'test@valid.sender',
+        to: 'test' + i + '@valid.recipient'
+      }, 'test', function (err, info) {
+        results.push(err || info)
+        if (++finished === count) {
+          callback(results)
+        }
+      })
+    }
+  }
+
+  it('should send messages over a limited number of connections', function (done) {
+    var pool = createPool({
+      maxConnections: 2
+    })
+
+    sendMessages(pool, 6, function (results) {
+      results.forEach(function (result) {
+        expect(result.response).to.equal('250 OK: message queued')
+      })
+      expect(connections).to.equal(2)
+
+      var stats = pool.getStats()
+      expect(stats.connections).to.equal(2)
+      expect(stats.sent).to.equal(6)
+      expect(stats.queued).to.equal(0)
+
+      pool.close()
+      done()
+    })
+
+    expect(pool.getStats().queued).to.equal(6)
+  })
+
+  it('should retire connections after max messages', function (done) {
+    var pool = createPool({
+      maxConnections: 1,
+      maxMessages: 2
+    })
+
+    sendMessages(pool, 5, function (results) {
+      results.forEach(function (result) {
+        expect(result.response).to.equal('250 OK: message queued')
+      })
+      expect(connections).to.equal(3)
+      pool.close()
+      done()
+    })
+  })
+
+  it('should close idle connections', function (done) {
+    var pool = createPool({
+      idleTimeout: 100
+    })
+
+    sendMessages(pool, 1, function () {
+      setImmediate(function () {
+        expect(pool.getStats().idle).to.equal(1)
+      })
+      setTimeout(function () {
+        expect(pool.getStats().connections).to.equal(0)
+        pool.close()
+        done()
+      }, 300)
+    })
+  })
+
+  it('should keep connection usable after failed message', function (done) {
+    var pool = createPool({
+      maxConnections: 1
+    })
+
+    pool.send({
+      from: 'test@invalid.sender',
+      to: 'test@valid.recipient'
+    }, 'test', function (err) {
+      expect(err.code).to.equal('EENVELOPE')
+
+      pool.send({
+        from: 'test@valid.sender',
+        to: 'test@valid.recipient'
+      }, 'test').then(function (info) {
+        expect(info.response).to.equal('250 OK: message queued')
+        expect(connections).to.equal(1)
+        pool.close()
+        done()
+      }).catch(done)
+    })
+  })
+
+  it('should replace closed connections', function (done) {
+    var pool = createPool({
+      maxConnections: 1
+    })
+
+    sendMessages(pool, 1, function () {
+      server.connections.forEach(function (conn) {
+        conn.close()
+      })
+
+      setTimeout(function () {
+        expect(pool.getStats().connections).to.equal(0)
+        sendMessages(pool, 1, function (results) {
+          expect(results[0].response).to.equal('250 OK: message queued')
+          expect(connections).to.equal(2)
+          pool.close()
+          done()
+        })
+      }, 100)
+    })
+  })
+
+  it('should return authentication errors', function (done) {
+    var pool = createPool({
+      auth: {
+        user: 'testuser',
+        pass: 'invalid'
+      }
+    })
+
+    sendMessages(pool, 1, function (results) {
+      expect(results[0].code).to.equal('EAUTH')
+      expect(pool.getStats().connections).to.equal(0)
+      pool.close()
+      done()
+    })
+  })
+
+  it('should close connections that are not ready yet', function (done) {
+    var pool = createPool({
+      host: function (callback) {
+        setTimeout(function () {
+          callback(null, ['127.0.0.1'])
+        }, 200)
+      }
+    })
+
+    sendMessages(pool, 1, function (results) {
+      expect(results[0].code).to.equal('ECONNECTION')
+    })
+
+    setTimeout(function () {
+      expect(pool.getStats().connections).to.equal(1)
+      pool.close()
+      expect(pool.getStats().connections).to.equal(0)
+      setTimeout(function () {
+        expect(connections).to.equal(0)
+        done()
+      }, 300)
+    }, 50)
+  })
+
+  it('should close connections that wait for the greeting', function (done) {
+    var closed = false
+    var silentServer = net.createServer(function (socket) {
+      socket.on('end', function () {
+        closed = true
+        socket.end()
+      })
+    })
+
+    silentServer.listen(PORT_NUMBER + 1, function () {
+      var pool = createPool({
+        port: PORT_NUMBER + 1
+      })
+
+      sendMessages(pool, 1, function (results) {
+        expect(results[0].code).to.equal('ECONNECTION')
+      })
+
+      setTimeout(function () {
+        pool.close()
+        setTimeout(function () {
+          expect(closed).to.be.true
+          silentServer.close(done)
+        }, 100)
+      }, 100)
+    })
+  })
+
+  it('should reject messages after close', function (done) {
+    var pool = createPool()
+
+    pool.close()
+    pool.send({
+      from: 'test@valid.sender',
+      to: 'test@valid.recipient'
+    }, 'test').catch(function (err) {
+      expect(err.code).to.equal('ECONNECTION')
+      done()
+    })
+  })
+})